@@ -1,47 +1,114 @@
 /* kb-ai.js
  * - 서버 없이(정적 호스팅만) "근거자료 기반 Q&A" 구현
- * - PDF.js로 텍스트 추출
- * - Transformers.js로 임베딩 생성(다국어)
- * - WebLLM로 브라우저 내 로컬 LLM 답변 생성
+ * - PDF.js로 텍스트 추출, Transformers.js로 임베딩 생성(다국어) → ingest.js
+ * - 인덱싱은 워커(ingest-worker.js)에서 작업 큐로 처리
+ * - 답변 생성은 LLM 백엔드로: WebLLM(브라우저 내) 또는 OpenAI 호환 로컬 서버(llama.cpp, Ollama 등)
  * - IndexedDB에 청크/임베딩 저장
  */
 
-import * as pdfjsLib from "https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624/build/pdf.mjs";
 import * as webllm from "https://esm.run/@mlc-ai/web-llm";
-
-// PDF.js worker 설정
-pdfjsLib.GlobalWorkerOptions.workerSrc =
-  "https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624/build/pdf.worker.mjs";
-
-// Transformers.js는 필요할 때만 로드(초기 로딩 가볍게)
-const TRANSFORMERS_URL = "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1";
-
-// 임베딩 모델(다국어)
-const EMBED_MODEL_ID = "Xenova/paraphrase-multilingual-MiniLM-L12-v2";
-
-// 청크(문단) 분할 설정
-const CHUNK_CHARS = 1200;
-const CHUNK_OVERLAP = 200;
+// 원문 보기(페이지 렌더링)용. worker 경로는 ingest.js에서 이미 설정됨
+import * as pdfjsLib from "https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624/build/pdf.mjs";
+import {
+  EMBED_MODEL_ID,
+  EMBED_MODELS,
+  CHUNK_OVERLAP,
+  findEmbedModel,
+  RERANK_MODEL_ID,
+  sha256Hex,
+  loadEmbedder,
+  embedWith,
+  loadReranker,
+  rerankWith,
+  lexTokens,
+  buildLexIndex,
+} from "./ingest.js";
 
 // 검색 상위 몇 개를 근거로 넣을지
 const TOP_K = 6;
 
+// 하이브리드 검색(벡터 + 키워드 BM25) 설정
+const FUSION_CANDIDATES = 50;   // 각 신호별로 융합에 넣을 상위 후보 수
+const RRF_K = 60;               // Reciprocal Rank Fusion 상수
+const RERANK_CANDIDATES = 40;   // 재순위(크로스인코더)에 넣을 1차 검색 상위 후보 수
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 답변 검증: 문장별 근거 일치도 기준(임베딩 유사도 + 어휘 겹침을 섞은 점수)
+const VERIFY_OK = 0.55;
+const VERIFY_WEAK = 0.35;
+const VERIFY_MAX_CHUNK_SENTENCES = 40;
+
+// 프롬프트 프리셋: 사용자 프리셋 목록, 마지막으로 고른 프리셋
+const LS_PRESETS = "kb_ai_presets";
+const LS_PRESET_SELECTED = "kb_ai_preset";
+
+// 대화: 직전 몇 턴을 후속 질문 재작성/프롬프트에 넣을지
+const HISTORY_TURNS = 3;
+const HISTORY_ANSWER_CHARS = 600;   // 이전 답변은 이 길이까지만 넣음
+
+// 질문 범위에서 제외한 문서(체크 해제) 기억용
+const LS_UNSELECTED_DOCS = "kb_ai_unselected_docs";
+
+// 벡터 저장소: int8 압축 사용 여부(메모리 1/4), DB에서 한 번에 읽어올 청크 수
+const LS_VEC_INT8 = "kb_ai_vec_int8";
+const LS_EMBED_MODEL = "kb_ai_embed_model";
+const VEC_INITIAL_CAPACITY = 1024;
+const DB_PAGE_SIZE = 500;
+
+// LLM 백엔드 선택/서버 주소/마지막 모델 기억용
+// { backend: "webllm" | "server", baseUrl, model, contextWindow, webllmModel, autoLoad, fitOnly }
+const LS_LLM_SETTINGS = "kb_ai_llm";
+const DEFAULT_SERVER_URL = "http://localhost:8080";
+
+// 근거 조립: 모델 컨텍스트 창에서 답변 몫과 프롬프트(지시/대화/질문)를 빼고 남는 만큼만 근거를 넣음
+const DEFAULT_CONTEXT_WINDOW = 4096;   // 모델 정보에 창 크기가 없을 때(서버는 설정값)
+const ANSWER_RESERVE_TOKENS = 1024;    // 답변 생성용으로 남겨 둘 토큰(창의 1/4을 넘지 않게)
+const CONTEXT_EDGE_CHARS = 200;        // 질문 단어가 청크 앞/뒤 이 안쪽에 걸리면 이웃 청크를 붙임
+
 // IndexedDB
 const DB_NAME = "kb_ai_db";
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE_DOCS = "docs";
 const STORE_CHUNKS = "chunks";
+const STORE_LEX = "lex";       // 문서별 키워드 색인(n-gram 역색인)
+const STORE_SESSIONS = "sessions";  // 대화 세션
+const STORE_FILES = "files";        // 원본 파일(원문 보기용) { docId, name, type, blob }
+const STORE_SUMMARIES = "summaries";  // 문서 요약/FAQ { docId, summary, faq[], model, batches, createdAt }
 
 // ---------- 상태 ----------
 const state = {
   // runtime
-  engine: null,           // WebLLM 엔진
-  embedder: null,         // Transformers.js pipeline
+  engine: null,           // LLM 백엔드(WebLLM 엔진 또는 서버 어댑터) — chat.completions.create() 공통
+  llm: null,              // { backend: "webllm" | "server", model, baseUrl?, contextWindow? }
+  gpu: null,              // WebGPU 어댑터 정보 { f16, maxBufferSize, maxStorageBufferBindingSize } (없으면 null)
+  embedModel: null,       // 지금 쓰는 임베딩 모델(EMBED_MODELS 항목) → 검색/인덱싱 모두 이 모델 벡터만 사용
+  embedder: null,         // Transformers.js pipeline (질문 임베딩용, 인덱싱은 워커가 따로 로드)
   hf: null,               // { pipeline, env, ... }
+  reranker: null,         // 크로스인코더 { tokenizer, model, device } (재순위를 처음 켤 때 로드)
+  worker: null,           // 인덱싱 워커
+  workerChain: Promise.resolve(),  // 워커 메시지를 도착 순서대로 처리
+  jobs: [],               // 인덱싱 작업 큐 { id, kind, docId, name, status, ratio, message, ... }
+  activeJob: null,
+  queuePaused: false,
 
   // data
-  docs: [],               // { id, name, type, size, addedAt }
-  chunks: [],             // { id, docId, docName, page, text, embedding(Float32Array) }
+  docs: [],               // { id, name, type, size, addedAt, hash, version, status?, ocr?{ pages, confidence, failed } }
+  chunks: [],             // 메타만 { id, docId, docName, page, section[], embedModel?, embedDim? } (본문/임베딩은 DB, 벡터는 vec)
+  chunkById: new Map(),   // id -> 청크 메타
+  vec: null,              // 벡터 저장소(연속 행렬) → createVectorStore()
+  lex: new Map(),         // docId -> { docId, n, totalLen, lens{chunkId:len}, postings{term:[chunkId, tf, ...]} }
+  presets: [],            // 기본 + 사용자 프리셋 → loadPresets()
+  summaries: new Map(),   // docId -> 요약/FAQ 레코드
+  summarizing: null,      // 요약 생성 중인 docId(한 번에 하나)
+
+  // 원문 보기 패널 { docId, page, numPages, pdf, ch, renderTask }
+  viewer: null,
+  unselected: new Set(),  // 질문 범위에서 뺀 docId (기본은 전체 선택)
+  sessions: [],           // { id, title, createdAt, updatedAt, turns[] } (최근 수정순)
+  session: null,          // 현재 대화 세션
+  generating: null,       // 답변 생성 중 { stopped } → 질문/다시 생성 막고 중지 버튼 표시
+  editing: null,          // 수정해서 다시 보낼 질문의 turn(보내면 이 턴부터 잘라내고 새로 질문)
 
   // ui
   els: {},
@@ -72,34 +139,21 @@ function escapeHtml(s) {
   }[ch]));
 }
 
-function asBubbleHtml(text) {
-  return escapeHtml(text).replace(/\n/g, "<br>");
+function clipText(s, max) {
+  const t = (s ?? "").trim();
+  return t.length > max ? t.slice(0, max) + "…" : t;
 }
 
-function normalizeText(t) {
-  return (t ?? "")
-    .replace(/\u0000/g, " ")
-    .replace(/[ \t]+/g, " ")
-    .replace(/\r\n/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
+function asBubbleHtml(text) {
+  return escapeHtml(text).replace(/\n/g, "<br>");
 }
 
-function chunkText(text, chunkSize = CHUNK_CHARS, overlap = CHUNK_OVERLAP) {
-  const t = normalizeText(text);
-  if (!t) return [];
-
-  const out = [];
-  let start = 0;
-  while (start < t.length) {
-    const end = Math.min(t.length, start + chunkSize);
-    const piece = t.slice(start, end).trim();
-    if (piece.length >= 30) out.push(piece);
-
-    if (end >= t.length) break;
-    start = Math.max(0, end - overlap);
-  }
-  return out;
+// 청크 위치 표시: "문서 › 섹션 › p.N"
+function chunkLocator(ch) {
+  const parts = [ch.docName];
+  if (ch.section?.length) parts.push(...ch.section);
+  if (ch.page) parts.push(`p.${ch.page}`);
+  return parts.join(" › ");
 }
 
 function dot(a, b) {
@@ -109,11 +163,40 @@ function dot(a, b) {
   return s;
 }
 
+// 점수 상위 k개만 최소 힙으로 고름(전체 정렬 없이 O(n log k))
+function heapPushTopK(heap, item, k) {
+  if (heap.length < k) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].score <= heap[i].score) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+    return;
+  }
+  if (item.score <= heap[0].score) return;
+
+  heap[0] = item;
+  let i = 0;
+  for (;;) {
+    const l = 2 * i + 1;
+    const r = l + 1;
+    let m = i;
+    if (l < heap.length && heap[l].score < heap[m].score) m = l;
+    if (r < heap.length && heap[r].score < heap[m].score) m = r;
+    if (m === i) break;
+    [heap[m], heap[i]] = [heap[i], heap[m]];
+    i = m;
+  }
+}
+
 function topKByScore(items, k) {
   // items: { score, ... }
-  return items
-    .sort((x, y) => y.score - x.score)
-    .slice(0, k);
+  const heap = [];
+  for (const it of items) heapPushTopK(heap, it, k);
+  return heap.sort((x, y) => y.score - x.score);
 }
 
 function setStatus(msg) {
@@ -125,10 +208,14 @@ function setProgress(v01) {
 }
 
 function refreshStats() {
-  state.els.statDocs.textContent = `문서 ${state.docs.length}개`;
-  state.els.statChunks.textContent = `청크 ${state.chunks.length}개`;
+  const scoped = state.docs.filter(d => isDocSelected(d.id)).length;
+  state.els.statDocs.textContent = scoped === state.docs.length
+    ? `문서 ${state.docs.length}개`
+    : `문서 ${state.docs.length}개 (질문 범위 ${scoped}개)`;
+  state.els.statChunks.textContent = `청크 ${state.chunks.length}개 (벡터 ${state.vec?.count ?? 0})`;
   state.els.statEmbed.textContent = `임베딩: ${state.embedder ? "로드됨" : "미로드"}`;
-  state.els.statLLM.textContent = `LLM: ${state.engine ? "로드됨" : "미로드"}`;
+  state.els.statLLM.textContent = `LLM: ${!state.engine ? "미로드"
+    : state.llm?.backend === "server" ? "서버 연결됨" : "로드됨"}`;
 }
 
 // ---------- IndexedDB(의존성 없이 최소 구현) ----------
@@ -146,6 +233,18 @@ function openDB() {
         const store = db.createObjectStore(STORE_CHUNKS, { keyPath: "id" });
         store.createIndex("docId", "docId", { unique: false });
       }
+      if (!db.objectStoreNames.contains(STORE_LEX)) {
+        db.createObjectStore(STORE_LEX, { keyPath: "docId" });
+      }
+      if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+        db.createObjectStore(STORE_SESSIONS, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(STORE_FILES)) {
+        db.createObjectStore(STORE_FILES, { keyPath: "docId" });
+      }
+      if (!db.objectStoreNames.contains(STORE_SUMMARIES)) {
+        db.createObjectStore(STORE_SUMMARIES, { keyPath: "docId" });
+      }
     };
 
     req.onsuccess = () => resolve(req.result);
@@ -179,6 +278,74 @@ async function dbGetAll(storeName) {
   return res;
 }
 
+// keyPath 순서로 pageSize개씩 끊어 읽음(한 번에 전부 올리지 않음). 페이지 사이에 화면 갱신 여유를 줌
+async function dbForEachPage(storeName, pageSize, onPage) {
+  const db = await openDB();
+  let lastKey = null;
+  try {
+    for (;;) {
+      const tx = db.transaction(storeName, "readonly");
+      const store = tx.objectStore(storeName);
+      const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+      const page = await reqResult(store.getAll(range, pageSize));
+      await txDone(tx);
+      if (page.length === 0) break;
+
+      lastKey = page[page.length - 1][store.keyPath];
+      await onPage(page);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (page.length < pageSize) break;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+async function dbCount(storeName) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, "readonly");
+  const n = await reqResult(tx.objectStore(storeName).count());
+  await txDone(tx);
+  db.close();
+  return n;
+}
+
+async function dbGetMany(storeName, keys) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, "readonly");
+  const store = tx.objectStore(storeName);
+  const res = await Promise.all(keys.map(k => reqResult(store.get(k))));
+  await txDone(tx);
+  db.close();
+  return res;
+}
+
+async function dbGetByIndex(storeName, indexName, key) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, "readonly");
+  const res = await reqResult(tx.objectStore(storeName).index(indexName).getAll(IDBKeyRange.only(key)));
+  await txDone(tx);
+  db.close();
+  return res;
+}
+
+// 읽고-고치고-쓰기를 한 트랜잭션에서. fn(record, i)이 record를 직접 수정
+async function dbUpdateMany(storeName, keys, fn) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, "readwrite");
+  const store = tx.objectStore(storeName);
+  keys.forEach((key, i) => {
+    const req = store.get(key);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      fn(req.result, i);
+      store.put(req.result);
+    };
+  });
+  await txDone(tx);
+  db.close();
+}
+
 async function dbPutMany(storeName, objects) {
   const db = await openDB();
   const tx = db.transaction(storeName, "readwrite");
@@ -188,20 +355,204 @@ async function dbPutMany(storeName, objects) {
   db.close();
 }
 
-async function dbClearAll() {
+async function dbDelete(storeName, key) {
   const db = await openDB();
-  const tx1 = db.transaction(STORE_DOCS, "readwrite");
-  tx1.objectStore(STORE_DOCS).clear();
-  await txDone(tx1);
+  const tx = db.transaction(storeName, "readwrite");
+  tx.objectStore(storeName).delete(key);
+  await txDone(tx);
+  db.close();
+}
 
-  const tx2 = db.transaction(STORE_CHUNKS, "readwrite");
-  tx2.objectStore(STORE_CHUNKS).clear();
-  await txDone(tx2);
+async function dbDeleteDoc(docId) {
+  const db = await openDB();
+  const tx = db.transaction([STORE_DOCS, STORE_CHUNKS, STORE_LEX, STORE_FILES, STORE_SUMMARIES], "readwrite");
+  tx.objectStore(STORE_DOCS).delete(docId);
+  tx.objectStore(STORE_LEX).delete(docId);
+  tx.objectStore(STORE_FILES).delete(docId);
+  tx.objectStore(STORE_SUMMARIES).delete(docId);
+
+  const idx = tx.objectStore(STORE_CHUNKS).index("docId");
+  const cursorReq = idx.openKeyCursor(IDBKeyRange.only(docId));
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor) return;
+    tx.objectStore(STORE_CHUNKS).delete(cursor.primaryKey);
+    cursor.continue();
+  };
+
+  await txDone(tx);
+  db.close();
+}
 
+async function dbClearAll() {
+  const db = await openDB();
+  for (const name of [STORE_DOCS, STORE_CHUNKS, STORE_LEX, STORE_FILES, STORE_SUMMARIES]) {
+    const tx = db.transaction(name, "readwrite");
+    tx.objectStore(name).clear();
+    await txDone(tx);
+  }
   db.close();
 }
 
+// ---------- 벡터 저장소(연속 행렬 + 선택적 int8) ----------
+// 청크마다 Float32Array를 들고 있지 않고, 행 단위로 하나의 큰 배열에 모아 둠
+// int8이면 행마다 스케일을 따로 두고 점수 = scale * Σ q·x
+function createVectorStore(quant = "f32") {
+  return {
+    quant,
+    dim: 0,
+    count: 0,
+    capacity: 0,
+    data: null,           // Float32Array | Int8Array (capacity * dim)
+    scales: null,         // Float32Array (capacity)
+    ids: [],              // row -> chunkId
+    docIds: [],           // row -> docId
+    rowOf: new Map(),     // chunkId -> row
+  };
+}
+
+function vecEnsureCapacity(store, need) {
+  if (need <= store.capacity) return;
+
+  const capacity = Math.max(need, store.capacity * 2, VEC_INITIAL_CAPACITY);
+  const data = store.quant === "int8"
+    ? new Int8Array(capacity * store.dim)
+    : new Float32Array(capacity * store.dim);
+  const scales = new Float32Array(capacity);
+  if (store.data) {
+    data.set(store.data.subarray(0, store.count * store.dim));
+    scales.set(store.scales.subarray(0, store.count));
+  }
+  Object.assign(store, { data, scales, capacity });
+}
+
+function quantizeInt8(vec, out, offset) {
+  let maxAbs = 0;
+  for (let i = 0; i < vec.length; i++) maxAbs = Math.max(maxAbs, Math.abs(vec[i]));
+  const scale = maxAbs / 127 || 1;
+  for (let i = 0; i < vec.length; i++) out[offset + i] = Math.round(vec[i] / scale);
+  return scale;
+}
+
+function vecStoreSet(store, id, docId, vec) {
+  if (!store.dim) store.dim = vec.length;
+  if (vec.length !== store.dim) {
+    console.warn(`임베딩 차원이 다릅니다: ${id} (${vec.length} ≠ ${store.dim})`);
+    return false;
+  }
+
+  let row = store.rowOf.get(id);
+  if (row === undefined) {
+    vecEnsureCapacity(store, store.count + 1);
+    row = store.count++;
+    store.rowOf.set(id, row);
+    store.ids[row] = id;
+    store.docIds[row] = docId;
+  }
+
+  const off = row * store.dim;
+  if (store.quant === "int8") {
+    store.scales[row] = quantizeInt8(vec, store.data, off);
+  } else {
+    store.data.set(vec, off);
+    store.scales[row] = 1;
+  }
+  return true;
+}
+
+function vecStoreHas(store, id) {
+  return store.rowOf.has(id);
+}
+
+// 문서 단위 삭제: 남는 행을 앞으로 당겨 빈칸 없이 유지
+function vecStoreRemoveDocs(store, docIds) {
+  const dim = store.dim;
+  let w = 0;
+  for (let r = 0; r < store.count; r++) {
+    if (docIds.has(store.docIds[r])) {
+      store.rowOf.delete(store.ids[r]);
+      continue;
+    }
+    if (w !== r) {
+      store.data.copyWithin(w * dim, r * dim, (r + 1) * dim);
+      store.scales[w] = store.scales[r];
+      store.ids[w] = store.ids[r];
+      store.docIds[w] = store.docIds[r];
+      store.rowOf.set(store.ids[w], w);
+    }
+    w++;
+  }
+  store.count = w;
+  store.ids.length = w;
+  store.docIds.length = w;
+}
+
+// 상위 k행만 힙으로 선택. allowDoc(docId) → false면 건너뜀
+function vecStoreSearch(store, q, k, allowDoc) {
+  const { dim, data, scales, docIds } = store;
+  const heap = [];
+  if (!dim || q.length !== dim) return heap;
+
+  for (let r = 0; r < store.count; r++) {
+    if (allowDoc && !allowDoc(docIds[r])) continue;
+
+    const off = r * dim;
+    let s = 0;
+    for (let i = 0; i < dim; i++) s += q[i] * data[off + i];
+    heapPushTopK(heap, { score: s * scales[r], id: store.ids[r] }, k);
+  }
+  return heap.sort((x, y) => y.score - x.score);
+}
+
+function vecQuantSetting() {
+  return localStorage.getItem(LS_VEC_INT8) === "1" ? "int8" : "f32";
+}
+
+// ---------- 청크 메타(메모리) ----------
+function toChunkMeta(ch) {
+  const { text, embedding, ...meta } = ch;
+  return meta;
+}
+
+function resetChunks() {
+  state.chunks = [];
+  state.chunkById = new Map();
+  state.vec = createVectorStore(vecQuantSetting());
+}
+
+// 벡터를 만든 모델(기록이 없는 예전 데이터는 기본 모델). 벡터가 없으면 null
+function chunkEmbedModel(rec) {
+  return rec.embedding ? (rec.embedModel ?? EMBED_MODEL_ID) : null;
+}
+
+// 전체 레코드(본문+임베딩) → 메타는 메모리에, 벡터는 저장소에(지금 모델로 만든 벡터만)
+function addChunks(records) {
+  for (const rec of records) {
+    const meta = toChunkMeta(rec);
+    meta.embedModel = chunkEmbedModel(rec);
+    meta.embedDim = rec.embedding?.length ?? null;
+    if (!state.chunkById.has(meta.id)) state.chunks.push(meta);
+    state.chunkById.set(meta.id, meta);
+    if (meta.embedModel === state.embedModel.id) vecStoreSet(state.vec, rec.id, rec.docId, rec.embedding);
+  }
+}
+
+function dropDocChunks(docId) {
+  state.chunks = state.chunks.filter(ch => ch.docId !== docId);
+  for (const id of [...state.chunkById.keys()]) {
+    if (state.chunkById.get(id).docId === docId) state.chunkById.delete(id);
+  }
+  vecStoreRemoveDocs(state.vec, new Set([docId]));
+}
+
+// 본문이 필요한 순간에만 DB에서 읽음(검색 결과, 내보내기 등)
+async function loadChunkRecords(ids) {
+  const recs = await dbGetMany(STORE_CHUNKS, ids);
+  return recs.filter(Boolean).map(({ embedding, ...rest }) => rest);
+}
+
 // ---------- 로딩: 임베딩 ----------
+// 메인 스레드 임베더는 질문 임베딩용(문서 임베딩은 인덱싱 워커가 따로 로드)
 async function ensureEmbedder() {
   if (state.embedder) return;
 
@@ -209,70 +560,247 @@ async function ensureEmbedder() {
   setStatus("임베딩 모델 로딩 중…");
   setProgress(0.02);
 
-  if (!state.hf) {
-    state.hf = await import(TRANSFORMERS_URL);
-    // 필요 시 env 설정 가능
-    // 예: state.hf.env.backends.onnx.wasm.numThreads = 1;
-  }
-
-  const device = (navigator.gpu ? "webgpu" : "wasm");
-  // feature-extraction + pooling/normalize로 문장 임베딩 생성(코사인 유사도 검색용)
-  state.embedder = await state.hf.pipeline(
-    "feature-extraction",
-    EMBED_MODEL_ID,
-    { device }
-  );
+  const { hf, pipe, device } = await loadEmbedder(state.embedModel.id);
+  state.hf = hf;
+  state.embedder = pipe;
 
-  state.els.embedStatus.textContent = `임베딩: 로드됨 (${EMBED_MODEL_ID}, device=${device})`;
+  state.els.embedStatus.textContent = `임베딩: 로드됨 (${state.embedModel.id}, device=${device})`;
   setStatus("임베딩 모델 로드 완료");
   setProgress(0);
 
   refreshStats();
 }
 
-async function embedTexts(texts) {
+async function ensureReranker() {
+  if (state.reranker) return;
+
+  setStatus("재순위 모델(크로스인코더) 로딩 중…");
+  state.reranker = await loadReranker(RERANK_MODEL_ID);
+  setStatus(`재순위 모델 로드 완료 (${RERANK_MODEL_ID}, device=${state.reranker.device})`);
+}
+
+// kind: "query"(질문/답변 문장) | "passage"(근거 문장) → 모델별 접두어
+async function embedTexts(texts, kind = "query") {
   await ensureEmbedder();
-  const tensor = await state.embedder(texts, { pooling: "mean", normalize: true });
-  const [n, d] = tensor.dims;
+  const m = state.embedModel;
+  return embedWith(state.embedder, texts, kind === "passage" ? m.passagePrefix : m.queryPrefix);
+}
 
-  const out = new Array(n);
-  for (let i = 0; i < n; i++) {
-    const start = i * d;
-    const end = start + d;
-    out[i] = tensor.data.slice(start, end); // Float32Array 복사
+function loadEmbedModelSetting() {
+  state.embedModel = findEmbedModel(localStorage.getItem(LS_EMBED_MODEL));
+  const select = state.els.embedModelSelect;
+  select.innerHTML = "";
+  for (const m of EMBED_MODELS) {
+    const opt = document.createElement("option");
+    opt.value = m.id;
+    opt.textContent = m.label;
+    select.appendChild(opt);
   }
-  return out;
+  select.value = state.embedModel.id;
+}
+
+// 지금 모델과 다른 모델로 만든 벡터가 있는 문서 → 재임베딩 대상
+// (벡터가 아예 없는 청크는 기존처럼 '재인덱싱'으로 채움)
+function mismatchedDocIds() {
+  const ids = new Set();
+  for (const ch of state.chunks) {
+    if (ch.embedModel && ch.embedModel !== state.embedModel.id) ids.add(ch.docId);
+  }
+  return ids;
+}
+
+// 모델이 안 맞는 문서를 작업 큐에 넣음(상태를 저장해 두므로 새로고침해도 이어서 진행)
+async function queueMismatchedDocs() {
+  const ids = mismatchedDocIds();
+  const docs = state.docs.filter(d => ids.has(d.id));
+  for (const doc of docs) {
+    if (!doc.status) doc.status = "reembedding";
+  }
+  if (docs.length === 0) return 0;
+
+  await dbPutMany(STORE_DOCS, docs);
+  for (const doc of docs) enqueueEmbed(doc);
+  renderDocs();
+  setStatus(`임베딩 모델이 달라 문서 ${docs.length}개를 백그라운드에서 다시 임베딩합니다 (${state.embedModel.id})`);
+  return docs.length;
+}
+
+async function changeEmbedModel(id) {
+  const next = findEmbedModel(id);
+  if (next.id === state.embedModel.id) return;
+
+  // 진행 중인 작업은 이전 모델로 벡터를 만들고 있으므로 끝난 뒤에 바꿈
+  if (state.jobs.some(isJobOpen)) {
+    alert("인덱싱/임베딩 작업이 끝난 뒤에 모델을 바꿔 주세요.");
+    state.els.embedModelSelect.value = state.embedModel.id;
+    return;
+  }
+  const n = state.chunks.filter(ch => ch.embedModel && ch.embedModel !== next.id).length;
+  if (n > 0 && !confirm(`임베딩 모델을 ${next.id}(으)로 바꾸면 청크 ${n}개를 다시 임베딩합니다.\n끝날 때까지는 키워드 검색 위주로 동작합니다. 계속할까요?`)) {
+    state.els.embedModelSelect.value = state.embedModel.id;
+    return;
+  }
+
+  localStorage.setItem(LS_EMBED_MODEL, next.id);
+  state.embedModel = next;
+  state.embedder = null;   // 질문 임베딩도 새 모델로
+  state.els.embedStatus.textContent = "임베딩: 미로드";
+
+  // 새 모델 벡터만으로 행렬을 다시 만들고, 나머지는 재임베딩 큐로(loadFromDB에서 처리)
+  await loadFromDB();
 }
 
 // ---------- 로딩: WebLLM ----------
+// 모델 목록에 크기/VRAM/양자화/한국어 적합도를 붙이고, WebGPU 어댑터 한도를 넘는 모델은 표시(기본은 숨김)
+const GIB = 1024 ** 3;
+const MIB = 1024 ** 2;
+
+// 모델 계열별 한국어 답변 품질(경험치). 위에서부터 먼저 맞는 규칙 적용
+const KOREAN_SUITABILITY = [
+  { re: /qwen(2\.5|3)|gemma-?[23]/i, level: 3, label: "좋음" },
+  { re: /qwen|llama-3|mistral|hermes|deepseek/i, level: 2, label: "보통" },
+  { re: /.*/, level: 1, label: "낮음" },
+];
+
+function modelInfo(m) {
+  const id = m.model_id;
+  const size = /(\d+(?:\.\d+)?)\s*([BM])(?![a-z])/i.exec(id.replace(/-/g, " "));
+  const quant = /-(q\d+f\d+(?:_\d+)?)/i.exec(id)?.[1] ?? "";
+  return {
+    id,
+    size: size ? `${size[1]}${size[2].toUpperCase()}` : "",
+    quant,
+    vramMB: m.vram_required_MB ?? null,
+    lowResource: !!m.low_resource_required,
+    needsF16: (m.required_features ?? []).includes("shader-f16") || /f16/.test(quant),
+    korean: KOREAN_SUITABILITY.find(k => k.re.test(id)),
+  };
+}
+
+// 어댑터 한도/기능 조회(모델 목록 표시에만 사용, 실제 로드는 WebLLM이 다시 확인)
+async function detectGPU() {
+  if (!navigator.gpu) return null;
+  try {
+    const adapter = await navigator.gpu.requestAdapter({ powerPreference: "high-performance" });
+    if (!adapter) return null;
+    return {
+      f16: adapter.features.has("shader-f16"),
+      maxBufferSize: adapter.limits.maxBufferSize,
+      maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
+    };
+  } catch (e) {
+    console.warn(e);
+    return null;
+  }
+}
+
+function mbText(bytes) {
+  return bytes >= GIB ? `${(bytes / GIB).toFixed(1)}GB` : `${Math.round(bytes / MIB)}MB`;
+}
+
+// 맞지 않는 이유 목록(빈 배열 = 문제 없음). WebGPU가 알려주는 어댑터 한도와만 비교
+function modelFitIssues(info, gpu) {
+  if (!gpu) return navigator.gpu ? ["GPU 정보를 확인하지 못함"] : ["WebGPU 미지원"];
+
+  const issues = [];
+  if (info.needsF16 && !gpu.f16) issues.push("GPU가 shader-f16 미지원");
+  // WebLLM은 저사양용이 아닌 모델에 1GB 스토리지 버퍼 바인딩을 요구(저사양용은 기본 128MB)
+  // 바인딩은 버퍼 하나를 넘을 수 없으므로 버퍼 한도도 같이 봄
+  const binding = info.lowResource ? 128 * MIB : GIB;
+  if (gpu.maxStorageBufferBindingSize < binding) {
+    issues.push(`스토리지 버퍼 바인딩 한도 ${mbText(gpu.maxStorageBufferBindingSize)} < ${mbText(binding)}`);
+  }
+  if (gpu.maxBufferSize < binding) {
+    issues.push(`버퍼 한도 ${mbText(gpu.maxBufferSize)} < ${mbText(binding)}`);
+  }
+  if (info.vramMB && info.vramMB * MIB > gpu.maxBufferSize) {
+    issues.push(`VRAM 요구량 ${mbText(info.vramMB * MIB)} > 버퍼 한도 ${mbText(gpu.maxBufferSize)}`);
+  }
+  return issues;
+}
+
+// 시스템 RAM 참고(어댑터 한도가 아님). deviceMemory는 최대 8(GB)로 뭉개져 나오므로 그보다 작을 때만
+function modelRamHint(info) {
+  const mem = navigator.deviceMemory;
+  return info.vramMB && mem && mem < 8 && info.vramMB > mem * 1024 * 0.75
+    ? `참고: 기기 RAM ${mem}GB라 메모리가 빠듯할 수 있음`
+    : "";
+}
+
 function fillModelSelect() {
   const select = state.els.modelSelect;
+  const keep = select.value || loadLLMSettingsRaw().webllmModel || "";
   select.innerHTML = "";
 
-  const list = webllm.prebuiltAppConfig?.model_list ?? [];
-  // model_list 원소는 { model_id, ... } 형태로 알려져 있음 :contentReference[oaicite:6]{index=6}
-  // 너무 많으면 UX가 나빠서 상위 일부만 우선 보여줌(원하면 늘려도 됨)
-  const MAX = 60;
-  const models = list.slice(0, MAX);
+  const list = (webllm.prebuiltAppConfig?.model_list ?? [])
+    // model_list 원소는 { model_id, ... } 형태로 알려져 있음 :contentReference[oaicite:6]{index=6}
+    .filter(m => !/embed/i.test(m.model_id) && !(webllm.ModelType && m.model_type === webllm.ModelType.embedding));
 
-  for (const m of models) {
+  const fitOnly = state.els.modelFitOnly.checked;
+  const models = list
+    .map(m => {
+      const info = modelInfo(m);
+      return { info, issues: modelFitIssues(info, state.gpu) };
+    })
+    // 기억해 둔 모델은 한도에 걸려도 목록에 남김
+    .filter(x => !fitOnly || x.issues.length === 0 || x.info.id === keep)
+    .sort((a, b) => (a.issues.length > 0) - (b.issues.length > 0)
+      || b.info.korean.level - a.info.korean.level
+      || (a.info.vramMB ?? Infinity) - (b.info.vramMB ?? Infinity));
+
+  for (const { info, issues } of models) {
     const opt = document.createElement("option");
-    opt.value = m.model_id;
-    opt.textContent = m.model_id;
+    opt.value = info.id;
+    opt.textContent = [
+      `${issues.length ? "⚠ " : ""}${info.id}`,
+      info.size,
+      info.quant,
+      info.vramMB ? `VRAM ${(info.vramMB / 1024).toFixed(1)}GB` : "",
+      `한국어 ${info.korean.label}`,
+    ].filter(Boolean).join(" · ");
+    opt.title = [
+      issues.length ? `이 PC에서 어려울 수 있음: ${issues.join(", ")}` : "이 PC의 GPU 한도 안에 들어옴",
+      modelRamHint(info),
+    ].filter(Boolean).join(" · ");
     select.appendChild(opt);
   }
 
   if (models.length === 0) {
     const opt = document.createElement("option");
     opt.value = "";
-    opt.textContent = "모델 목록을 불러오지 못했습니다";
+    opt.textContent = list.length
+      ? "이 GPU에 맞는 모델이 없습니다(필터를 끄거나 로컬 서버를 사용해 주세요)"
+      : "모델 목록을 불러오지 못했습니다";
     select.appendChild(opt);
   }
+
+  if (keep && models.some(x => x.info.id === keep)) select.value = keep;
+  renderModelHint();
+}
+
+// 선택한 모델의 경고를 목록 아래에 표시
+function renderModelHint() {
+  const opt = state.els.modelSelect.selectedOptions[0];
+  state.els.modelHint.textContent = opt?.value ? opt.title : "";
+}
+
+// 다른 백엔드로 바꾸기 전에 WebLLM이 잡고 있던 GPU 메모리 정리
+async function releaseEngine() {
+  const engine = state.engine;
+  state.engine = null;
+  state.llm = null;
+  if (engine?.unload) {
+    try {
+      await engine.unload();
+    } catch (e) {
+      console.warn(e);
+    }
+  }
 }
 
 async function loadLLM(modelId) {
   if (!navigator.gpu) {
-    alert("이 브라우저는 WebGPU를 지원하지 않아 로컬 LLM(WebLLM)을 실행하기 어렵습니다.\n최신 Chrome/Edge에서 HTTPS로 접속해 주세요.");
+    alert("이 브라우저는 WebGPU를 지원하지 않아 로컬 LLM(WebLLM)을 실행하기 어렵습니다.\n최신 Chrome/Edge에서 HTTPS로 접속하거나, '로컬 서버(OpenAI 호환)'를 선택해 주세요.");
     return;
   }
   if (!modelId) {
@@ -292,8 +820,12 @@ async function loadLLM(modelId) {
     if (text) setStatus(text);
   };
 
+  await releaseEngine();
+
   // CreateMLCEngine / MLCEngine 사용법은 공식 문서에 명시 :contentReference[oaicite:7]{index=7}
   state.engine = await webllm.CreateMLCEngine(modelId, { initProgressCallback });
+  state.llm = { backend: "webllm", model: modelId };
+  saveLLMSettings({ webllmModel: modelId });
 
   setProgress(0);
   setStatus("LLM 모델 로드 완료");
@@ -301,10 +833,213 @@ async function loadLLM(modelId) {
   refreshStats();
 }
 
-function buildSystemPrompt(strict) {
+// ---------- LLM 백엔드: OpenAI 호환 로컬 서버 ----------
+// llama.cpp server / Ollama / LM Studio 등의 /v1/chat/completions를
+// WebLLM 엔진과 같은 모양(chat.completions.create, stream이면 async iterable)으로 감쌈
+
+// "localhost:8080", ".../v1", ".../v1/chat/completions" 모두 같은 주소로
+function normalizeServerUrl(url) {
+  let u = (url ?? "").trim().replace(/\/+$/, "");
+  if (!u) return "";
+  if (!/^https?:\/\//i.test(u)) u = `http://${u}`;
+  return u.replace(/\/chat\/completions$/i, "").replace(/\/v1$/i, "");
+}
+
+async function serverError(res) {
+  let detail = "";
+  try {
+    const body = await res.text();
+    detail = JSON.parse(body)?.error?.message ?? body;
+  } catch {
+    // 본문 없음
+  }
+  return new Error(`서버 오류 ${res.status}${detail ? `: ${clipText(detail, 300)}` : ""}`);
+}
+
+// text/event-stream → "data: {...}" 한 줄씩 JSON으로
+async function* readServerEvents(res) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buf = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += value;
+
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line.startsWith("data:")) continue;
+
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return;
+        // 서버가 JSON이 아닌 줄(keep-alive 등)을 섞어 보내도 답변은 계속 받음
+        let obj;
+        try {
+          obj = JSON.parse(data);
+        } catch {
+          console.warn("서버 이벤트 해석 실패:", data);
+          continue;
+        }
+        if (!obj || typeof obj !== "object") continue;
+        if (obj.error) throw new Error(`서버 오류: ${obj.error.message ?? JSON.stringify(obj.error)}`);
+        yield obj;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function createServerEngine(baseUrl, model) {
+  let controller = null;
+  const create = async (params) => {
+    controller = new AbortController();
+    const res = await fetch(`${baseUrl}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...params, ...(model ? { model } : {}) }),
+      signal: controller.signal,
+    });
+    if (!res.ok) throw await serverError(res);
+    return params.stream ? readServerEvents(res) : res.json();
+  };
+
+  // WebLLM 엔진과 같은 이름: 진행 중인 요청(스트림)을 끊음
+  const interruptGenerate = () => controller?.abort();
+
+  return { chat: { completions: { create } }, interruptGenerate };
+}
+
+async function fetchServerModels(baseUrl) {
+  const res = await fetch(`${baseUrl}/v1/models`);
+  if (!res.ok) throw await serverError(res);
+  const data = await res.json();
+  return (data.data ?? data.models ?? []).map(m => m.id ?? m.name).filter(Boolean);
+}
+
+async function connectLLMServer(url, model) {
+  const baseUrl = normalizeServerUrl(url);
+  if (!baseUrl) {
+    alert("서버 주소를 입력해 주세요. (예: http://localhost:8080, Ollama는 http://localhost:11434)");
+    return;
+  }
+
+  setStatus(`LLM 서버 연결 중… (${baseUrl})`);
+  state.els.modelStatus.textContent = "모델: 연결 중…";
+
+  let models;
+  try {
+    models = await fetchServerModels(baseUrl);
+  } catch (e) {
+    state.els.modelStatus.textContent = "모델: 연결 실패";
+    throw new Error(
+      `${String(e?.message ?? e)}\n\n서버가 실행 중인지, 브라우저 접근(CORS)이 허용되어 있는지 확인해 주세요.\n` +
+      "(Ollama는 OLLAMA_ORIGINS 환경변수에 이 사이트 주소를 추가해야 할 수 있습니다.)"
+    );
+  }
+
+  fillServerModels(models);
+  const chosen = model || models[0] || "";
+
+  await releaseEngine();
+  state.engine = createServerEngine(baseUrl, chosen);
+  state.llm = { backend: "server", model: chosen, baseUrl, contextWindow: serverContextWindow() };
+  state.els.apiModel.value = chosen;
+  saveLLMSettings();
+
+  setStatus(`LLM 서버 연결 완료: ${baseUrl}`);
+  state.els.modelStatus.textContent = `모델: 서버 연결됨${chosen ? ` (${chosen})` : ""}`;
+  refreshStats();
+}
+
+// 서버는 창 크기를 알려주지 않는 경우가 많아 사용자가 입력(llama.cpp -c, Ollama num_ctx 값)
+function serverContextWindow() {
+  const n = Math.round(Number(state.els.apiContextWindow.value));
+  return Number.isFinite(n) && n >= 512 ? n : DEFAULT_CONTEXT_WINDOW;
+}
+
+function fillServerModels(models) {
+  const list = state.els.apiModelList;
+  list.innerHTML = "";
+  for (const id of models) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    list.appendChild(opt);
+  }
+}
+
+function selectedBackend() {
+  return document.querySelector("input[name=llmBackend]:checked")?.value ?? "webllm";
+}
+
+function showBackendPanel(backend) {
+  state.els.webllmPanel.hidden = backend !== "webllm";
+  state.els.serverPanel.hidden = backend !== "server";
+  state.els.btnLoadModel.textContent = backend === "server" ? "서버 연결" : "모델 로드";
+}
+
+function loadLLMSettingsRaw() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_LLM_SETTINGS) || "{}") ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function loadLLMSettings() {
+  const saved = loadLLMSettingsRaw();
+
+  const backend = saved.backend === "server" ? "server" : "webllm";
+  const radio = document.querySelector(`input[name=llmBackend][value=${backend}]`);
+  if (radio) radio.checked = true;
+  state.els.apiBaseUrl.value = saved.baseUrl || DEFAULT_SERVER_URL;
+  state.els.apiModel.value = saved.model || "";
+  state.els.apiContextWindow.value = String(saved.contextWindow || DEFAULT_CONTEXT_WINDOW);
+  state.els.autoLoadModel.checked = !!saved.autoLoad;
+  state.els.modelFitOnly.checked = saved.fitOnly !== false;
+  showBackendPanel(backend);
+}
+
+// patch: 화면 입력값 외에 따로 기억할 값(마지막으로 로드에 성공한 WebLLM 모델 등)
+function saveLLMSettings(patch = {}) {
+  localStorage.setItem(LS_LLM_SETTINGS, JSON.stringify({
+    ...loadLLMSettingsRaw(),
+    backend: selectedBackend(),
+    baseUrl: state.els.apiBaseUrl.value.trim(),
+    model: state.els.apiModel.value.trim(),
+    contextWindow: serverContextWindow(),
+    autoLoad: state.els.autoLoadModel.checked,
+    fitOnly: state.els.modelFitOnly.checked,
+    ...patch,
+  }));
+}
+
+// 페이지를 열 때 마지막으로 쓰던 LLM을 자동으로 준비(실패해도 알림창 없이 상태만 표시)
+async function autoLoadLLM() {
+  const saved = loadLLMSettingsRaw();
+  if (!saved.autoLoad) return;
+
+  try {
+    if (saved.backend === "server") {
+      await connectLLMServer(saved.baseUrl || DEFAULT_SERVER_URL, saved.model || "");
+    } else if (saved.webllmModel && navigator.gpu) {
+      await loadLLM(saved.webllmModel);
+    }
+  } catch (e) {
+    console.warn(e);
+    setProgress(0);
+    setStatus(`LLM 자동 준비 실패: ${String(e?.message ?? e).split("\n")[0]}`);
+    state.els.modelStatus.textContent = "모델: 미로드";
+  }
+}
+
+// 프리셋의 역할 설명 + 근거 사용 규칙(엄격 모드에 따라)
+function buildSystemPrompt(strict, preset = BUILTIN_PRESETS[0]) {
   if (strict) {
     return [
-      "너는 '근거 자료'로 제공된 내용만 사용해서 답하는 어시스턴트다.",
+      preset.system,
       "규칙:",
       "1) 근거에 없는 정보는 절대 추측하거나 일반상식으로 보완하지 말 것.",
       "2) 근거에서 확인되지 않으면 정확히 다음 문장만 출력: 자료에 근거가 없습니다.",
@@ -314,141 +1049,750 @@ function buildSystemPrompt(strict) {
   }
 
   return [
-    "너는 '근거 자료'로 제공된 내용만 사용해서 답하는 어시스턴트다.",
+    preset.system,
     "근거에 없는 내용은 '자료에 근거가 없습니다'라고 말하고, 가능한 범위만 요약해라.",
     "답변 마지막에 [출처] 섹션으로 사용한 근거 ID([C#])를 적어라.",
     "답변은 한국어로.",
   ].join("\n");
 }
 
-// ---------- PDF/TXT 인덱싱 ----------
-async function extractTextFromPDF(arrayBuffer) {
-  const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-  const pdf = await loadingTask.promise;
-
-  const pages = [];
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const textContent = await page.getTextContent();
-
-    let s = "";
-    for (const item of textContent.items) {
-      s += item.str;
-      s += item.hasEOL ? "\n" : " ";
-    }
-    pages.push(normalizeText(s));
+// ---------- 프롬프트 프리셋(작업 모드) ----------
+// { id, name, system, format(출력 형식 지시, 줄 단위), temperature, topK, builtin? }
+// 기본 프리셋은 고칠 수 없고 복제해서 씀. 사용자 프리셋은 localStorage + 지식베이스 내보내기에 포함
+const BUILTIN_PRESETS = [
+  {
+    id: "builtin:qa",
+    name: "기본 질의응답",
+    system: "너는 '근거 자료'로 제공된 내용만 사용해서 답하는 어시스턴트다.",
+    format: "질문에 먼저 바로 답하고, 필요한 조건/예외를 덧붙여라.",
+    temperature: 0.2,
+    topK: TOP_K,
+  },
+  {
+    id: "builtin:summary",
+    name: "요약",
+    system: "너는 '근거 자료'로 제공된 문서를 정확하게 요약하는 어시스턴트다.",
+    format: [
+      "핵심 내용을 5개 이내의 글머리표(-)로 정리하고, 항목마다 끝에 근거 ID를 붙여라.",
+      "숫자/기한/대상은 근거의 표현 그대로 옮겨라.",
+      "마지막에 한 줄 총평을 적어라.",
+    ].join("\n"),
+    temperature: 0.3,
+    topK: 10,
+  },
+  {
+    id: "builtin:compare",
+    name: "조항 비교",
+    system: "너는 규정/조항을 근거 자료만으로 비교하는 어시스턴트다.",
+    format: [
+      "질문에 나온 조항(또는 규정 버전)을 Markdown 표로 비교해라: | 항목 | 비교 대상 A | 비교 대상 B | 차이 |",
+      "각 칸에는 근거 ID를 붙이고, 근거에 없는 칸은 '근거 없음'으로 둬라.",
+      "표 아래에 핵심 차이를 2~3문장으로 요약해라.",
+    ].join("\n"),
+    temperature: 0.1,
+    topK: 10,
+  },
+  {
+    id: "builtin:checklist",
+    name: "체크리스트 추출",
+    system: "너는 근거 자료에서 해야 할 일/요건을 빠짐없이 뽑아내는 어시스턴트다.",
+    format: [
+      "'- [ ] 항목' 형식의 체크리스트로 정리하고, 항목마다 근거 ID를 붙여라.",
+      "대상, 기한, 제출 서류, 예외 조건이 있으면 항목 안에 적어라.",
+      "순서가 있는 절차는 순서대로 나열해라.",
+    ].join("\n"),
+    temperature: 0.1,
+    topK: 8,
+  },
+  {
+    id: "builtin:civil",
+    name: "민원 답변 초안",
+    system: "너는 공공기관 민원 담당자를 돕는 어시스턴트다. 근거 자료만으로 정중한 공문체 답변 초안을 쓴다.",
+    format: [
+      "다음 순서로 작성해라: 1) 인사 2) 민원 요지 3) 답변(근거 규정과 근거 ID) 4) 추가 안내 5) 맺음말",
+      "근거로 확인되지 않는 사항은 단정하지 말고 '담당 부서 확인 필요'로 표시해라.",
+      "개인정보나 담당자 이름은 만들어 넣지 마라.",
+    ].join("\n"),
+    temperature: 0.4,
+    topK: 8,
+  },
+];
+
+function loadUserPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LS_PRESETS) || "[]");
+    return Array.isArray(list) ? list.map(normalizePreset).filter(Boolean) : [];
+  } catch {
+    return [];
   }
-
-  return { numPages: pdf.numPages, pages };
 }
 
-async function indexFile(file) {
-  await ensureEmbedder();
+function saveUserPresets() {
+  localStorage.setItem(LS_PRESETS, JSON.stringify(state.presets.filter(p => !p.builtin)));
+}
 
-  const docId = uuid();
-  const doc = {
-    id: docId,
-    name: file.name,
-    type: file.type || "",
-    size: file.size,
-    addedAt: nowISO(),
+// 가져온/저장된 값 검증: 이름 필수, temperature 0~2, topK 1~20
+function normalizePreset(p) {
+  if (!p || typeof p !== "object" || !String(p.name ?? "").trim()) return null;
+  const temperature = Number(p.temperature);
+  const topK = Math.round(Number(p.topK));
+  return {
+    id: String(p.id || `user:${uuid()}`),
+    name: String(p.name).trim(),
+    system: String(p.system ?? ""),
+    format: String(p.format ?? ""),
+    temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : 0.2,
+    topK: Number.isFinite(topK) ? Math.min(20, Math.max(1, topK)) : TOP_K,
   };
+}
 
-  setStatus(`읽는 중: ${file.name}`);
-  setProgress(0.05);
-
-  const newChunks = [];
-
-  if (file.name.toLowerCase().endsWith(".pdf") || file.type === "application/pdf") {
-    const buf = await file.arrayBuffer();
-    const { numPages, pages } = await extractTextFromPDF(buf);
-
-    let made = 0;
-    for (let i = 0; i < pages.length; i++) {
-      const pageNo = i + 1;
-      const pageText = pages[i];
-      const pieces = chunkText(pageText);
-
-      for (let c = 0; c < pieces.length; c++) {
-        made += 1;
-        newChunks.push({
-          id: `${docId}|p${pageNo}|c${c}`,
-          docId,
-          docName: file.name,
-          page: pageNo,
-          text: pieces[c],
-          embedding: null,
-        });
-      }
+function loadPresets() {
+  state.presets = [...BUILTIN_PRESETS.map(p => ({ ...p, builtin: true })), ...loadUserPresets()];
+}
 
-      setStatus(`PDF 처리: ${file.name} (페이지 ${pageNo}/${numPages})`);
-      setProgress(0.05 + 0.35 * (pageNo / Math.max(1, numPages)));
-    }
+function findPreset(id) {
+  return state.presets.find(p => p.id === id) ?? state.presets[0];
+}
 
-    setStatus(`청크 생성 완료: ${file.name} (${made}개)`);
-    setProgress(0.42);
-  } else {
-    // 텍스트 계열
-    const text = await file.text();
-    const pieces = chunkText(text);
-    for (let c = 0; c < pieces.length; c++) {
-      newChunks.push({
-        id: `${docId}|p1|c${c}`,
-        docId,
-        docName: file.name,
-        page: 1,
-        text: pieces[c],
-        embedding: null,
-      });
+function currentPreset() {
+  return findPreset(state.els.presetSelect.value);
+}
+
+function renderPresetSelect(selectId = localStorage.getItem(LS_PRESET_SELECTED)) {
+  for (const select of [state.els.presetSelect, state.els.presetEditSelect]) {
+    const keep = select === state.els.presetSelect ? selectId : select.value;
+    select.innerHTML = "";
+    for (const p of state.presets) {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.builtin ? p.name : `${p.name} (내 프리셋)`;
+      select.appendChild(opt);
     }
-    setStatus(`청크 생성 완료: ${file.name} (${newChunks.length}개)`);
-    setProgress(0.30);
+    select.value = findPreset(keep).id;
   }
+}
 
-  // 임베딩 생성(배치)
-  setStatus(`임베딩 생성 중: ${file.name}`);
-  const BATCH = 8;
-  for (let i = 0; i < newChunks.length; i += BATCH) {
-    const batch = newChunks.slice(i, i + BATCH);
-    const texts = batch.map(x => x.text);
-    const vecs = await embedTexts(texts);
-    for (let j = 0; j < batch.length; j++) {
-      batch[j].embedding = vecs[j];
-    }
-    const ratio = (i + batch.length) / Math.max(1, newChunks.length);
-    setProgress(0.45 + 0.50 * ratio);
+// 가져오기: 같은 id는 덮어쓰고 나머지는 추가 → 추가/갱신된 개수
+function importPresets(list) {
+  let n = 0;
+  for (const raw of list ?? []) {
+    const p = normalizePreset(raw);
+    if (!p || p.id.startsWith("builtin:")) continue;
+    const idx = state.presets.findIndex(x => x.id === p.id);
+    if (idx >= 0) state.presets[idx] = p;
+    else state.presets.push(p);
+    n++;
+  }
+  if (n) {
+    saveUserPresets();
+    renderPresetSelect(state.els.presetSelect.value);
   }
+  return n;
+}
 
-  // 상태 반영(메모리 + DB)
-  state.docs.push(doc);
-  state.chunks.push(...newChunks);
+function exportablePresets() {
+  return state.presets.filter(p => !p.builtin).map(({ builtin, ...p }) => p);
+}
 
-  await dbPutMany(STORE_DOCS, [doc]);
-  await dbPutMany(STORE_CHUNKS, newChunks);
+// ----- 프리셋 관리 대화상자 -----
+function fillPresetForm(preset) {
+  const els = state.els;
+  els.presetEditSelect.value = preset.id;
+  els.presetName.value = preset.name;
+  els.presetSystem.value = preset.system;
+  els.presetFormat.value = preset.format;
+  els.presetTemperature.value = String(preset.temperature);
+  els.presetTopK.value = String(preset.topK);
+
+  const ro = !!preset.builtin;
+  for (const el of [els.presetName, els.presetSystem, els.presetFormat, els.presetTemperature, els.presetTopK]) {
+    el.disabled = ro;
+  }
+  els.btnPresetSave.disabled = ro;
+  els.btnPresetDelete.disabled = ro;
+  els.presetInfo.textContent = ro
+    ? "기본 프리셋은 고칠 수 없습니다. '복제'해서 내 프리셋으로 고쳐 쓰세요."
+    : "내 프리셋은 이 브라우저에 저장되고, 지식베이스 내보내기(번들/JSON)에 함께 들어갑니다.";
+}
 
-  setStatus(`완료: ${file.name}`);
-  setProgress(0);
+function openPresetDialog() {
+  renderPresetSelect(state.els.presetSelect.value);
+  fillPresetForm(currentPreset());
+  state.els.presetDialog.showModal();
+}
 
-  renderDocs();
+function addPreset(base) {
+  const p = normalizePreset({
+    ...base,
+    id: `user:${uuid()}`,
+    name: base ? `${base.name} 복사본` : "새 프리셋",
+  });
+  state.presets.push(p);
+  saveUserPresets();
+  renderPresetSelect(state.els.presetSelect.value);
+  fillPresetForm(p);
+}
+
+function savePresetForm() {
+  const els = state.els;
+  const idx = state.presets.findIndex(p => p.id === els.presetEditSelect.value && !p.builtin);
+  if (idx < 0) return;
+
+  const p = normalizePreset({
+    id: state.presets[idx].id,
+    name: els.presetName.value,
+    system: els.presetSystem.value,
+    format: els.presetFormat.value,
+    temperature: els.presetTemperature.value,
+    topK: els.presetTopK.value,
+  });
+  if (!p) {
+    alert("프리셋 이름을 입력해 주세요.");
+    return;
+  }
+
+  state.presets[idx] = p;
+  saveUserPresets();
+  renderPresetSelect(state.els.presetSelect.value);
+  fillPresetForm(p);
+  setStatus(`프리셋 저장: ${p.name}`);
+}
+
+function deletePresetForm() {
+  const p = state.presets.find(x => x.id === state.els.presetEditSelect.value);
+  if (!p || p.builtin) return;
+  if (!confirm(`'${p.name}' 프리셋을 삭제할까요?`)) return;
+
+  state.presets = state.presets.filter(x => x !== p);
+  saveUserPresets();
+  renderPresetSelect(state.els.presetSelect.value);
+  fillPresetForm(findPreset(state.els.presetSelect.value));
+}
+
+// ---------- 인덱싱(작업 큐 + 워커) ----------
+// 같은 이름의 문서가 여러 버전이면 "이름 (v2)"처럼 표시
+function docLabel(doc) {
+  const siblings = state.docs.filter(d => d.name === doc.name);
+  return siblings.length > 1 ? `${doc.name} (v${doc.version ?? 1})` : doc.name;
+}
+
+// 버전 구성이 바뀐 뒤 해당 이름 문서들의 청크 표시명(docName)을 다시 맞춤
+async function relabelDocs(name) {
+  const changed = [];
+  for (const doc of state.docs.filter(d => d.name === name)) {
+    const label = docLabel(doc);
+    for (const ch of state.chunks) {
+      if (ch.docId === doc.id && ch.docName !== label) {
+        ch.docName = label;
+        changed.push(ch);
+      }
+    }
+  }
+  if (changed.length) {
+    await dbUpdateMany(STORE_CHUNKS, changed.map(ch => ch.id), (rec, i) => {
+      rec.docName = changed[i].docName;
+    });
+  }
+}
+
+// 업로드 전 중복/버전 판단: { action: "skip" | "new" | "replace" | "version", prev? }
+function resolveIngest(file, hash) {
+  const same = state.docs.find(d => d.hash === hash)
+    ?? state.jobs.find(j => isJobOpen(j) && j.doc?.hash === hash)?.doc;
+  if (same) return { action: "skip", prev: same };
+
+  // 아직 큐에 있는 같은 이름 문서도 이전 버전으로 봄(교체는 큐 순서대로 앞 작업이 끝난 뒤 적용)
+  const queued = state.jobs.filter(j => isJobOpen(j) && j.doc).map(j => j.doc);
+  const prevs = [...state.docs, ...queued].filter(d => d.name === file.name);
+  if (prevs.length === 0) return { action: "new" };
+
+  const latest = prevs.reduce((a, b) => ((a.version ?? 1) >= (b.version ?? 1) ? a : b));
+  const replace = confirm(
+    `같은 이름의 문서가 이미 있고 내용이 다릅니다: ${file.name}\n\n` +
+    `[확인] 기존 버전(v${latest.version ?? 1})을 새 파일로 교체\n` +
+    `[취소] 두 버전 모두 보관(v${(latest.version ?? 1) + 1}로 추가)`
+  );
+  return { action: replace ? "replace" : "version", prev: latest };
+}
+
+const JOB_STATUS_LABELS = {
+  queued: "대기",
+  running: "진행 중",
+  paused: "일시정지",
+  done: "완료",
+  cancelled: "취소됨",
+  error: "실패",
+};
+
+function getIngestWorker() {
+  if (!state.worker) {
+    state.worker = new Worker(new URL("./ingest-worker.js", import.meta.url), { type: "module" });
+    state.worker.onmessage = (e) => {
+      // DB 쓰기 순서가 섞이지 않게 메시지를 하나씩 처리
+      // 처리 중 예외가 나면 그 작업을 실패로 끝내야 큐가 멈추지 않음
+      state.workerChain = state.workerChain.then(async () => {
+        try {
+          await onWorkerMessage(e.data);
+        } catch (err) {
+          console.error(err);
+          failJob(findJob(e.data.jobId), err);
+        }
+      });
+    };
+    // 워커 모듈/CDN import가 실패하면 "error" 메시지가 오지 않음 → 진행 중 작업을 실패로 끝내고 다음 작업에서 워커를 새로 만듦
+    state.worker.onerror = (e) => {
+      console.error(e);
+      const worker = state.worker;
+      state.workerChain = state.workerChain.then(() => {
+        if (state.worker !== worker) return;
+        worker.terminate();
+        state.worker = null;
+        failJob(state.activeJob, e.message || "작업 스크립트를 불러오지 못했습니다");
+      });
+    };
+  }
+  return state.worker;
+}
+
+function findJob(jobId) {
+  return state.jobs.find(j => j.id === jobId);
+}
+
+function isJobOpen(job) {
+  return job.status === "queued" || job.status === "running" || job.status === "paused";
+}
+
+// 파일 → 작업 큐. 중복/버전 판단(확인 창)은 여기서 미리 끝냄
+async function enqueueFiles(files) {
+  // 끝난 작업 줄은 새로 추가할 때 정리
+  state.jobs = state.jobs.filter(isJobOpen);
+
+  for (const file of files) {
+    setStatus(`읽는 중: ${file.name}`);
+    const hash = await sha256Hex(await file.arrayBuffer());
+    const plan = resolveIngest(file, hash);
+
+    if (plan.action === "skip") {
+      setStatus(`중복 건너뜀: ${file.name} (이미 '${plan.prev.name}'로 등록됨)`);
+      continue;
+    }
+
+    const docId = uuid();
+    const version = plan.prev ? (plan.prev.version ?? 1) + 1 : 1;
+    state.jobs.push({
+      id: uuid(),
+      kind: "ingest",
+      file,
+      name: file.name,
+      docId,
+      doc: {
+        id: docId,
+        name: file.name,
+        type: file.type || "",
+        size: file.size,
+        addedAt: nowISO(),
+        hash,
+        version,
+        status: "indexing",
+        replaces: plan.action === "replace" ? plan.prev.id : undefined,
+        keepUnselected: plan.action === "replace" && !isDocSelected(plan.prev.id),
+      },
+      docName: plan.action === "version" ? `${file.name} (v${version})` : file.name,
+      status: "queued",
+      ratio: 0,
+      message: "",
+    });
+  }
+
+  renderJobs();
+  pumpQueue();
+}
+
+// 이미 저장된 청크 중 임베딩이 없는 것만 워커에 맡김(재인덱싱/새로고침 후 이어하기)
+function enqueueEmbed(doc) {
+  if (state.jobs.some(j => j.docId === doc.id && isJobOpen(j))) return;
+
+  state.jobs.push({
+    id: uuid(),
+    kind: "embed",
+    name: docLabel(doc),
+    docId: doc.id,
+    status: "queued",
+    ratio: 0,
+    message: "",
+  });
+  renderJobs();
+  pumpQueue();
+}
+
+function pumpQueue() {
+  if (state.activeJob || state.queuePaused) return;
+
+  const job = state.jobs.find(j => j.status === "queued");
+  if (!job) {
+    setProgress(0);
+    return;
+  }
+
+  state.activeJob = job;
+  job.status = "running";
+  renderJobs();
+
+  startJob(job).catch((e) => {
+    console.error(e);
+    job.status = "error";
+    job.message = `실패: ${job.name} — ${String(e)}`;
+    endJob(job);
+  });
+}
+
+async function startJob(job) {
+  const worker = getIngestWorker();
+  if (job.kind === "ingest") {
+    worker.postMessage({
+      type: "ingest",
+      jobId: job.id,
+      docId: job.docId,
+      docName: job.docName,
+      file: job.file,
+      model: state.embedModel,
+    });
+  } else {
+    const items = (await dbGetByIndex(STORE_CHUNKS, "docId", job.docId))
+      .filter(ch => chunkEmbedModel(ch) !== state.embedModel.id)
+      .map(ch => ({ id: ch.id, text: ch.text }));
+    worker.postMessage({ type: "embed", jobId: job.id, name: job.name, items, model: state.embedModel });
+  }
+}
+
+async function onWorkerMessage(msg) {
+  // 이미 끝난(실패/취소 처리된) 작업에서 늦게 온 메시지는 버림
+  const job = findJob(msg.jobId);
+  if (!job || !isJobOpen(job)) return;
+
+  switch (msg.type) {
+    case "progress": {
+      job.ratio = msg.ratio;
+      job.message = msg.message;
+      setStatus(msg.message);
+      setProgress(msg.ratio);
+      renderJobs();
+      break;
+    }
+
+    case "chunks": {
+      // 체크포인트: 청크(임베딩 없음)를 먼저 저장 → 중간에 새로고침해도 임베딩만 이어서 하면 됨
+      const doc = job.doc;
+      if (msg.ocr) doc.ocr = msg.ocr;
+      state.docs.push(doc);
+      addChunks(msg.chunks);
+      if (doc.keepUnselected) setDocSelected(doc.id, false);
+
+      await dbPutMany(STORE_DOCS, [doc]);
+      await dbPutMany(STORE_CHUNKS, msg.chunks);
+      await dbPutMany(STORE_FILES, [{ docId: doc.id, name: doc.name, type: doc.type, blob: job.file }]);
+      renderDocs();
+      refreshStats();
+      break;
+    }
+
+    case "embedded": {
+      if (!state.docs.some(d => d.id === job.docId)) break;   // 도중에 삭제된 문서
+      // 벡터와 함께 출처(모델 ID, 차원)를 기록
+      await dbUpdateMany(STORE_CHUNKS, msg.ids, (rec, i) => {
+        rec.embedding = msg.vectors[i];
+        rec.embedModel = msg.modelId;
+        rec.embedDim = msg.vectors[i].length;
+      });
+      msg.ids.forEach((id, i) => {
+        const meta = state.chunkById.get(id);
+        if (!meta) return;
+        meta.embedModel = msg.modelId;
+        meta.embedDim = msg.vectors[i].length;
+        if (msg.modelId === state.embedModel.id) vecStoreSet(state.vec, id, job.docId, msg.vectors[i]);
+      });
+      break;
+    }
+
+    case "done": {
+      await finishDoc(job.docId);
+      job.status = "done";
+      job.ratio = 1;
+      job.message = `완료: ${job.name}`;
+      setStatus(job.message);
+      endJob(job);
+      break;
+    }
+
+    case "cancelled": {
+      job.status = "cancelled";
+      job.message = `취소됨: ${job.name}`;
+      // 새로 올리던 문서는 버리고, 재인덱싱 중이던 문서는 남겨둔 채 상태만 정리
+      const doc = state.docs.find(d => d.id === job.docId);
+      if (doc?.status === "indexing") {
+        await removeDoc(doc.id);
+        renderDocs();
+      }
+      await settleCancelledReembed(job);
+      setStatus(job.message);
+      endJob(job);
+      break;
+    }
+
+    case "error": {
+      job.status = "error";
+      job.message = `실패: ${job.name} — ${msg.error}`;
+      setStatus(job.message);
+      endJob(job);
+      break;
+    }
+  }
+}
+
+function failJob(job, err) {
+  if (!job || !isJobOpen(job)) return;
+  // 워커는 아직 이 작업을 돌리고 있을 수 있으니 멈추게 하고, 이후 메시지는 무시됨
+  if (job === state.activeJob) state.worker?.postMessage({ type: "cancel", jobId: job.id });
+  job.status = "error";
+  job.message = `실패: ${job.name} — ${String(err?.message ?? err)}`;
+  setStatus(job.message);
+  endJob(job);
+}
+
+function endJob(job) {
+  if (state.activeJob === job) state.activeJob = null;
+  renderJobs();
   refreshStats();
+  pumpQueue();
+}
+
+// 임베딩이 다 채워진 문서를 완료 처리: 키워드 색인 + 상태 정리 + (교체라면) 이전 버전 삭제
+async function finishDoc(docId) {
+  const doc = state.docs.find(d => d.id === docId);
+  if (!doc) return;
+
+  // 키워드 색인은 본문 기준이라 새로 들어온 문서만 만들면 됨(재임베딩은 그대로)
+  let lx = state.lex.get(docId);
+  if (!lx) {
+    lx = buildLexIndex(docId, await dbGetByIndex(STORE_CHUNKS, "docId", docId));
+    state.lex.set(docId, lx);
+  }
+
+  const replaces = doc.replaces;
+  delete doc.status;
+  delete doc.replaces;
+  delete doc.keepUnselected;
+  doc.embedModel = state.embedModel.id;
+  doc.embedDim = state.chunks.find(ch => ch.docId === docId && ch.embedDim)?.embedDim ?? state.embedModel.dim;
+
+  await dbPutMany(STORE_DOCS, [doc]);
+  await dbPutMany(STORE_LEX, [lx]);
+
+  // 교체: 새 버전 저장이 끝난 뒤에 이전 버전 삭제
+  if (replaces) await removeDoc(replaces);
+  await relabelDocs(doc.name);
+
+  renderDocs();
+}
+
+function pauseQueue() {
+  state.queuePaused = true;
+  if (state.activeJob) {
+    state.activeJob.status = "paused";
+    getIngestWorker().postMessage({ type: "pause" });
+  }
+  setStatus("인덱싱 일시정지");
+  renderJobs();
+}
+
+function resumeQueue() {
+  state.queuePaused = false;
+  if (state.activeJob) state.activeJob.status = "running";
+  state.worker?.postMessage({ type: "resume" });
+  renderJobs();
+  pumpQueue();
+}
+
+function cancelJob(jobId) {
+  const job = findJob(jobId);
+  if (!job || !isJobOpen(job)) return;
+
+  if (job === state.activeJob) {
+    // 워커가 배치 사이에서 멈추고 "cancelled"를 보내면 정리
+    getIngestWorker().postMessage({ type: "cancel", jobId });
+    job.message = "취소 중…";
+  } else {
+    job.status = "cancelled";
+    job.message = `취소됨: ${job.name}`;
+    // 워커 메시지와 같은 순서로 DB에 씀(전체 삭제가 이 쓰기를 기다린 뒤 진행되도록)
+    state.workerChain = state.workerChain.then(() => settleCancelledReembed(job)).then(renderJobs, console.error);
+  }
+  renderJobs();
+}
+
+// 재임베딩 취소: 상태 표시를 지워 새로고침 때 다시 큐에 들어가지 않게 함
+// 비워 둔 벡터는 그대로라 문서 목록의 '임베딩 없음'과 재인덱싱 버튼으로 다시 채움.
+// 다른 모델 벡터가 남은 문서는 열 때마다 자동 재임베딩 대상이라(queueMismatchedDocs) 그렇게 안내
+async function settleCancelledReembed(job) {
+  const doc = state.docs.find(d => d.id === job.docId);
+  if (job.kind !== "embed" || doc?.status !== "reembedding") return;
+
+  delete doc.status;
+  await dbPutMany(STORE_DOCS, [doc]);
+  job.message = mismatchedDocIds().has(doc.id)
+    ? `취소됨: ${job.name} — 다음에 열 때 다시 이어서 임베딩합니다`
+    : `취소됨: ${job.name} — 임베딩이 빠진 청크는 '재인덱싱'으로 다시 만들어야 합니다`;
+  renderDocs();
+}
+
+// 새로고침 전에 끝나지 않은 문서(체크포인트)를 이어서 임베딩
+function resumeUnfinishedDocs() {
+  for (const doc of state.docs) {
+    if (doc.status) enqueueEmbed(doc);
+  }
+}
+
+function renderJobs() {
+  const el = state.els.jobsList;
+  const jobs = state.jobs;
+
+  state.els.btnPauseQueue.disabled = state.queuePaused || !jobs.some(isJobOpen);
+  state.els.btnResumeQueue.disabled = !state.queuePaused;
+
+  if (jobs.length === 0) {
+    el.innerHTML = "";
+    return;
+  }
+
+  el.innerHTML = jobs.map(j => `
+    <div class="job">
+      <div class="row between">
+        <span>${escapeHtml(j.name)} <span class="muted">(${j.kind === "ingest" ? "추가" : "임베딩"} · ${JOB_STATUS_LABELS[j.status]})</span></span>
+        ${isJobOpen(j) ? `<button class="btn ghost" type="button" data-job-cancel="${escapeHtml(j.id)}">취소</button>` : ""}
+      </div>
+      <progress max="1" value="${clamp01(j.ratio)}" style="width:100%;"></progress>
+      ${j.message ? `<div class="muted">${escapeHtml(j.message)}</div>` : ""}
+    </div>
+  `).join("");
+}
+
+// ---------- 키워드 색인(BM25 + 한글 글자 n-gram) ----------
+// 색인 객체의 자기 속성만 읽음(DB에서 읽은 색인은 일반 객체라 "toString" 등이 프로토타입에서 잡힘)
+function ownValue(obj, key) {
+  return Object.hasOwn(obj, key) ? obj[key] : undefined;
+}
+
+// 문서별 색인을 합치지 않고 질의 시점에 문서 단위로 순회(삭제/추가가 간단)
+function bm25Search(queryText) {
+  const terms = [...new Set(lexTokens(queryText))];
+  const scores = new Map();
+  if (terms.length === 0) return scores;
+
+  const lexes = [...state.lex.values()].filter(lx => isDocSelected(lx.docId));
+  let N = 0;
+  let totalLen = 0;
+  for (const lx of lexes) {
+    N += lx.n;
+    totalLen += lx.totalLen;
+  }
+  if (N === 0) return scores;
+  const avgLen = totalLen / N;
+
+  for (const term of terms) {
+    let df = 0;
+    for (const lx of lexes) df += (ownValue(lx.postings, term)?.length ?? 0) / 2;
+    if (df === 0) continue;
+
+    const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+    for (const lx of lexes) {
+      const list = ownValue(lx.postings, term);
+      if (!list) continue;
+      for (let i = 0; i < list.length; i += 2) {
+        const id = list[i];
+        const tf = list[i + 1];
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (ownValue(lx.lens, id) / avgLen));
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+      }
+    }
+  }
+  return scores;
+}
+
+// DB에 색인이 없는 문서(이전 버전에서 저장된 문서 등)는 텍스트로 바로 만들어 저장
+async function ensureLexIndexes() {
+  const docIds = new Set(state.chunks.map(ch => ch.docId).filter(id => !state.lex.has(id)));
+  if (docIds.size === 0) return;
+
+  const built = [];
+  for (const docId of docIds) {
+    const lx = buildLexIndex(docId, await dbGetByIndex(STORE_CHUNKS, "docId", docId));
+    state.lex.set(docId, lx);
+    built.push(lx);
+  }
+  await dbPutMany(STORE_LEX, built);
 }
 
 // ---------- 검색 + 답변 ----------
-function retrieveTopChunks(queryEmbedding) {
-  const scored = [];
-  for (const ch of state.chunks) {
-    if (!ch.embedding) continue;
-    const score = dot(queryEmbedding, ch.embedding);
-    scored.push({ score, ch });
+// 벡터 순위와 BM25 순위를 RRF로 융합: score = Σ 1 / (RRF_K + rank)
+// 순위는 메타/행렬만으로 계산하고, 본문은 최종 k개(프리셋의 TOP_K)만 DB에서 읽어 붙임
+// rerank: 1차 상위 RERANK_CANDIDATES개를 크로스인코더로 다시 채점해서 k개를 고름
+async function retrieveTopChunks(queryEmbedding, queryText, k = TOP_K, rerank = false) {
+  const vecTop = vecStoreSearch(state.vec, queryEmbedding, FUSION_CANDIDATES, isDocSelected);
+
+  const lexTop = [];
+  for (const [id, score] of bm25Search(queryText)) {
+    if (state.chunkById.has(id)) heapPushTopK(lexTop, { score, id }, FUSION_CANDIDATES);
   }
-  return topKByScore(scored, TOP_K);
+  lexTop.sort((x, y) => y.score - x.score);
+
+  const fused = new Map();
+  const entry = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { score: 0, id, vecRank: null, vecScore: null, lexRank: null, lexScore: null });
+    }
+    return fused.get(id);
+  };
+
+  vecTop.forEach((item, i) => {
+    const e = entry(item.id);
+    e.vecRank = i + 1;
+    e.vecScore = item.score;
+    e.score += 1 / (RRF_K + i + 1);
+  });
+  lexTop.forEach((item, i) => {
+    const e = entry(item.id);
+    e.lexRank = i + 1;
+    e.lexScore = item.score;
+    e.score += 1 / (RRF_K + i + 1);
+  });
+
+  const top = topKByScore(fused.values(), rerank ? Math.max(k, RERANK_CANDIDATES) : k);
+  const recs = await loadChunkRecords(top.map(({ id }) => id));
+  const byId = new Map(recs.map(r => [r.id, r]));
+  const items = top
+    .filter(({ id }) => byId.has(id))
+    .map(({ id, ...item }, i) => ({ ...item, fusedRank: i + 1, ch: byId.get(id) }));
+  if (!rerank) return items;
+
+  await ensureReranker();
+  setStatus(`재순위 중… (후보 ${items.length}개)`);
+  const scores = await rerankWith(state.reranker, queryText, items.map(item => item.ch.text));
+  items.forEach((item, i) => { item.rerankScore = scores[i]; });
+  items.sort((a, b) => b.rerankScore - a.rerankScore);
+  items.forEach((item, i) => { item.rerankRank = i + 1; });
+  return items.slice(0, k);
+}
+
+function matchSignalLabel(item) {
+  if (item.vecRank && item.lexRank) return "의미+키워드";
+  return item.lexRank ? "키워드" : "의미";
 }
 
 function buildContext(scoredChunks) {
   return scoredChunks.map((item, idx) => {
     const cId = `C${idx + 1}`;
     const ch = item.ch;
-    const header = `[${cId}] (${ch.docName} / p.${ch.page})`;
+    const header = `[${cId}] (${chunkLocator(ch)})`;
     return `${header}\n${ch.text}`;
   }).join("\n\n");
 }
@@ -478,15 +1822,23 @@ function renderContextDetails(scoredChunks, usedSet) {
   scoredChunks.forEach((item, idx) => {
     const ch = item.ch;
     const tag = usedSet.has(idx + 1) ? "✅ 사용됨" : "—";
+    const signals = [
+      item.rerankScore != null ? `재순위 ${item.rerankScore.toFixed(3)} (1차 #${item.fusedRank} → #${item.rerankRank})` : "",
+      item.vecRank ? `벡터 #${item.vecRank} (${item.vecScore.toFixed(3)})` : "벡터 -",
+      item.lexRank ? `키워드 #${item.lexRank} (bm25=${item.lexScore.toFixed(2)})` : "키워드 -",
+      ch.ocr ? `OCR 인식(신뢰도 ${Math.round((ch.ocrConfidence ?? 0) * 100)}%)` : "",
+      ch.ids?.length > 1 ? `청크 ${ch.ids.length}개 병합${item.neighbors ? `(이웃 ${item.neighbors}개 포함)` : ""}` : "",
+    ].filter(Boolean).join(" · ");
     const block = document.createElement("div");
     block.style.padding = "10px 0";
     block.style.borderTop = "1px solid #eee";
 
     block.innerHTML = `
       <div class="row between">
-        <div class="mono"><strong>[C${idx + 1}]</strong> ${escapeHtml(ch.docName)} / p.${ch.page}</div>
-        <div class="muted">${tag} · score=${item.score.toFixed(3)}</div>
+        <div class="mono">${linkCitations(`[C${idx + 1}]`)} ${escapeHtml(chunkLocator(ch))}</div>
+        <div class="muted">${tag} · ${matchSignalLabel(item)} · rrf=${item.score.toFixed(4)}${item.rerankScore != null ? ` · 재순위=${item.rerankScore.toFixed(3)}` : ""}</div>
       </div>
+      <div class="muted mono" style="margin-top:4px;">${signals}</div>
       <div class="muted" style="margin-top:6px; white-space:pre-wrap;">${escapeHtml(ch.text)}</div>
     `;
     inner.appendChild(block);
@@ -496,38 +1848,132 @@ function renderContextDetails(scoredChunks, usedSet) {
   return wrap;
 }
 
-async function ask(questionText, strict, showContext) {
-  if (!questionText.trim()) return;
+// 후속 질문("그럼 2026년은?")을 이전 대화를 참고해 독립적인 검색 질의로 바꿈
+async function rewriteFollowUp(session, questionText) {
+  const recent = session.turns.slice(-HISTORY_TURNS);
+  if (recent.length === 0) return questionText;
+  if (!state.engine) return `${recent[recent.length - 1].question} ${questionText}`;
+
+  const history = recent.map(t => [
+    `사용자: ${t.question}`,
+    `어시스턴트: ${clipText(t.answer, 300)}`,
+  ].join("\n")).join("\n\n");
+
+  try {
+    const res = await state.engine.chat.completions.create({
+      messages: [
+        {
+          role: "system",
+          content: [
+            "너는 검색 질의 재작성기다.",
+            "이전 대화를 참고해서 마지막 질문을 앞 대화 없이도 이해되는 한 문장짜리 검색 질의로 바꿔라.",
+            "지시어(그럼, 그거, 거기 등)와 생략된 대상/연도/조건을 구체적으로 채워라.",
+            "이미 독립적인 질문이면 그대로 출력해라. 질의 한 줄만 출력하고 설명은 붙이지 마라.",
+          ].join("\n"),
+        },
+        { role: "user", content: `[이전 대화]\n${history}\n\n[마지막 질문]\n${questionText}` },
+      ],
+      temperature: 0,
+      max_tokens: 96,
+    });
+    const rewritten = (res.choices?.[0]?.message?.content ?? "").split("\n")[0].trim();
+    return rewritten || questionText;
+  } catch (e) {
+    // 재작성 실패 시 직전 질문을 붙여서라도 맥락을 살림
+    console.warn(e);
+    return `${recent[recent.length - 1].question} ${questionText}`;
+  }
+}
 
-  if (state.chunks.length === 0) {
-    alert("먼저 근거자료를 업로드해서 인덱싱해 주세요.");
-    return;
+// 이전 턴을 WebLLM messages 형식으로(근거 본문은 빼고 질문/답변만)
+// turns: 이번 질문 앞까지의 턴(다시 생성할 때는 그 턴 앞까지만)
+function historyMessages(turns) {
+  const out = [];
+  for (const t of turns.slice(-HISTORY_TURNS)) {
+    out.push({ role: "user", content: t.question });
+    out.push({ role: "assistant", content: clipText(t.answer, HISTORY_ANSWER_CHARS) });
   }
-  if (!state.engine) {
-    alert("먼저 로컬 LLM(WebLLM) 모델을 로드해 주세요.");
-    return;
+  return out;
+}
+
+// 세션에 저장할 근거 스냅샷(임베딩 제외) → 문서가 지워져도 대화 기록은 그대로 보임
+function contextSnapshot(scoredChunks) {
+  return scoredChunks.map(item => ({
+    ...item,
+    ch: {
+      id: item.ch.id,
+      docId: item.ch.docId,
+      docName: item.ch.docName,
+      page: item.ch.page,
+      section: item.ch.section,
+      ocr: item.ch.ocr,
+      ocrConfidence: item.ch.ocrConfidence,
+      ids: item.ch.ids,
+      text: item.ch.text,
+    },
+  }));
+}
+
+function renderAnswerMeta(assistantEl, turn, showContext) {
+  const used = parseUsedCitations(turn.answer);
+  assistantEl.contexts = turn.contexts;   // [C#] 클릭 → 원문 보기
+  assistantEl.turn = turn;                // 답변별 내보내기
+
+  const meta = assistantEl.querySelector(".meta");
+  meta.innerHTML = "";
+
+  if (turn.strict && used.size === 0) {
+    const warn = document.createElement("div");
+    warn.className = "muted";
+    warn.textContent =
+      "주의: 답변에 [C#] 인용이 없습니다. 근거 기반 답변으로 보기 어렵습니다. 질문을 더 구체화하거나 근거가 있는지 확인해 주세요.";
+    meta.appendChild(warn);
   }
 
-  await ensureEmbedder();
+  if (turn.stopped) {
+    const stop = document.createElement("div");
+    stop.className = "muted";
+    stop.textContent = "생성을 중지해서 중간까지만 받은 답변입니다. 필요하면 '다시 생성'을 눌러 주세요.";
+    meta.appendChild(stop);
+  }
 
-  // UI: 사용자 메시지
-  addMessage("user", questionText);
+  if (turn.verification) {
+    meta.appendChild(renderVerificationSummary(turn.verification));
+  }
 
-  // UI: assistant placeholder
-  const assistantEl = addMessage("assistant", "생각 중…\n(근거 검색 + 답변 생성)");
+  if (turn.retrievalQuery && turn.retrievalQuery !== turn.question) {
+    const rq = document.createElement("div");
+    rq.className = "muted";
+    rq.textContent = `검색 질의(후속 질문 재작성): ${turn.retrievalQuery}`;
+    meta.appendChild(rq);
+  }
 
-  // 1) 검색
-  setStatus("질문 임베딩 생성/검색 중…");
-  setProgress(0.1);
+  const sourceLine = document.createElement("div");
+  sourceLine.className = "muted";
+  const search = turn.rerank ? "의미+키워드 → 크로스인코더 재순위" : "의미+키워드";
+  sourceLine.textContent = turn.mode === "extractive"
+    ? `근거 검색(${search}) Top ${turn.contexts.length}개에서 문장 발췌(LLM 미사용)`
+    : `근거 검색(${search}) Top ${turn.contexts.length}개에서 답변 생성${turn.preset ? ` · 프리셋: ${turn.preset.name}` : ""}`;
+  meta.appendChild(sourceLine);
 
-  const [qVec] = await embedTexts([questionText]);
-  const top = retrieveTopChunks(qVec);
-  const context = buildContext(top);
+  if (turn.budget) {
+    const tokenLine = document.createElement("div");
+    tokenLine.className = "muted";
+    tokenLine.textContent = tokenUsageLabel(turn);
+    meta.appendChild(tokenLine);
+  }
 
-  setProgress(0.25);
+  meta.appendChild(renderTurnExportButtons());
 
-  // 2) 프롬프트 구성(근거만)
-  const sys = buildSystemPrompt(strict);
+  if (showContext) {
+    meta.appendChild(renderContextDetails(turn.contexts, used));
+  }
+}
+
+// 답변 생성용 messages. context를 비워서 부르면 근거 외 프롬프트 길이(예산 계산용)
+function answerMessages(priorTurns, questionText, context, strict, preset) {
+  // 프롬프트 구성(근거만) + 프리셋의 역할/출력 형식
+  const sys = buildSystemPrompt(strict, preset);
   const user = [
     "아래 [근거] 안에서만 정보를 찾아 질문에 답해라.",
     "",
@@ -538,110 +1984,1629 @@ async function ask(questionText, strict, showContext) {
     questionText,
     "",
     "형식:",
+    ...preset.format.split("\n").map(l => l.trim()).filter(Boolean).map(l => `- ${l.replace(/^-\s*/, "")}`),
     "- 답변 마지막에 [출처] 섹션을 만들고, 사용한 근거 ID를 [C1], [C2]처럼 적어라.",
     "- 근거가 없으면 strict 모드에 따라 처리해라.",
+    "- 이전 대화는 질문의 맥락 파악에만 쓰고, 사실은 이번 [근거]에서만 가져와라.",
   ].join("\n");
 
-  // 3) LLM 스트리밍
+  return [
+    { role: "system", content: sys },
+    ...historyMessages(priorTurns),
+    { role: "user", content: user },
+  ];
+}
+
+// 프리셋 온도는 엄격 모드 기준. 엄격 해제 시 0.3 올림(기본 질의응답: 0.2 → 0.5)
+const NON_STRICT_TEMPERATURE_BOOST = 0.3;
+
+function answerTemperature(preset, strict) {
+  return strict ? preset.temperature : Math.min(2, preset.temperature + NON_STRICT_TEMPERATURE_BOOST);
+}
+
+// LLM 답변 스트리밍 + 문장별 근거 검증 → { answer, verification, usage, stopped }
+// usage: 스트림 마지막에 엔진이 알려주는 실제 토큰 수(include_usage, 못 받으면 null)
+// stopped: 중지 버튼으로 끊음(그때까지 받은 부분 답변을 그대로 씀)
+async function generateAnswer(priorTurns, questionText, top, strict, preset, assistantEl) {
+  const messages = answerMessages(priorTurns, questionText, buildContext(top), strict, preset);
+
+  // LLM 스트리밍
   setStatus("답변 생성 중…");
   setProgress(0.35);
 
   let answer = "";
+  let usage = null;
   assistantEl.querySelector(".bubble").innerHTML = asBubbleHtml("답변 생성 중…");
 
-  const chunks = await state.engine.chat.completions.create({
-    messages: [
-      { role: "system", content: sys },
-      { role: "user", content: user },
-    ],
-    temperature: strict ? 0.2 : 0.5,
-    stream: true,
-    stream_options: { include_usage: true },
-  });
+  const isStopped = () => !!state.generating?.stopped;
+  try {
+    if (!isStopped()) {
+      const chunks = await state.engine.chat.completions.create({
+        messages,
+        temperature: answerTemperature(preset, strict),
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      for await (const chunk of chunks) {
+        if (chunk.usage) usage = chunk.usage;
+        if (isStopped()) break;
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (!delta) continue;
+        answer += delta;
+        assistantEl.querySelector(".bubble").innerHTML = asBubbleHtml(answer);
+      }
+    }
+  } catch (e) {
+    // 서버 요청을 끊으면 AbortError로 빠져나옴 → 중지라면 부분 답변으로 마무리
+    if (!isStopped()) throw e;
+  }
+
+  const stopped = isStopped();
+  if (stopped && !answer.trim()) {
+    return { answer: "(답변 생성을 중지했습니다)", verification: null, usage, stopped };
+  }
+
+  // 문장별 근거 검증(임베딩 유사도 + 어휘 겹침)
+  setStatus("답변 근거 검증 중…");
+  setProgress(0.9);
+  let verification = null;
+  try {
+    verification = await verifyAnswer(answer, top);
+  } catch (e) {
+    console.warn(e);
+  }
+  return { answer, verification, usage, stopped };
+}
+
+// opts: { strict, showContext, extractive(LLM 없이 근거 문장 발췌), preset(작업 모드), rerank(크로스인코더 재순위),
+//         editTurn(수정해서 다시 보내는 이전 턴 → 이 턴부터 잘라내고 답함) }
+async function ask(questionText, { strict = true, showContext = false, extractive = false, preset = BUILTIN_PRESETS[0], rerank = false, editTurn = null } = {}) {
+  if (!questionText.trim()) return;
+
+  if (state.chunks.length === 0) {
+    alert("먼저 근거자료를 업로드해서 인덱싱해 주세요.");
+    return;
+  }
+  if (!state.docs.some(d => isDocSelected(d.id))) {
+    alert("질문 범위에 선택된 문서가 없습니다. 문서 목록에서 체크해 주세요.");
+    return;
+  }
+  // LLM이 없으면 발췌 답변으로(임베딩은 WASM으로도 동작)
+  const mode = extractive || !state.engine ? "extractive" : "llm";
+
+  await ensureEmbedder();
+
+  // 질문할 수 있는 게 확인된 뒤에만 이전 대화를 잘라냄
+  if (editTurn) await truncateAtEditedTurn(editTurn);
+
+  const session = await ensureSession();
+  if (session.turns.length === 0) state.els.chat.innerHTML = "";   // 안내 메시지 치우기
+
+  // UI: 사용자 메시지
+  const userEl = addMessage("user", questionText);
+
+  // UI: assistant placeholder
+  const assistantEl = addMessage("assistant", "생각 중…\n(근거 검색 + 답변 생성)");
 
-  for await (const chunk of chunks) {
-    const delta = chunk.choices?.[0]?.delta?.content || "";
-    if (!delta) continue;
-    answer += delta;
-    assistantEl.querySelector(".bubble").innerHTML = asBubbleHtml(answer);
+  // 1) 검색 (후속 질문이면 먼저 독립 질의로 재작성)
+  setStatus("질문 임베딩 생성/검색 중…");
+  setProgress(0.1);
+
+  const retrievalQuery = await rewriteFollowUp(session, questionText);
+  const [qVec] = await embedTexts([retrievalQuery]);
+  const hits = await retrieveTopChunks(qVec, retrievalQuery, preset.topK, rerank);
+
+  // LLM이면 컨텍스트 창에 맞춰 근거 조립(이웃 병합/겹침 제거), 발췌는 검색 결과 그대로
+  let top = hits;
+  let budget = null;
+  if (mode === "llm") {
+    setStatus("근거 조립 중…");
+    budget = contextBudget(answerMessages(session.turns, questionText, "", strict, preset));
+    const assembled = await assembleContext(hits, budget.context, retrievalQuery);
+    top = assembled.items;
+    budget.used = assembled.tokens;
   }
 
+  setProgress(0.25);
+
+  // 2) 답변: LLM 생성 또는 근거 문장 발췌
+  let answer;
+  let verification = null;
+  let terms = null;
+  let usage = null;
+  let stopped = false;
+  if (mode === "llm") {
+    ({ answer, verification, usage, stopped } = await generateAnswer(session.turns, questionText, top, strict, preset, assistantEl));
+  } else {
+    setStatus("근거 문장 고르는 중… (LLM 없이 발췌)");
+    ({ answer, terms } = await extractiveAnswer(questionText, qVec, top, strict));
+  }
   setProgress(0);
 
-  // 4) 후처리: 인용 체크 + 근거 보기
-  const used = parseUsedCitations(answer);
+  // 3) 대화 저장 + 후처리(인용 체크 + 근거 보기)
+  const turn = {
+    question: questionText,
+    retrievalQuery,
+    answer,
+    strict,
+    mode,
+    rerank,
+    preset: { id: preset.id, name: preset.name },
+    terms,
+    contexts: contextSnapshot(top),
+    verification,
+    budget,
+    usage,
+    stopped,
+    at: nowISO(),
+  };
+  await appendTurn(session, turn);
+  userEl.turn = turn;
+
+  assistantEl.querySelector(".bubble").innerHTML = answerBubbleHtml(turn);
+  renderAnswerMeta(assistantEl, turn, showContext);
 
-  const meta = assistantEl.querySelector(".meta");
-  meta.innerHTML = "";
+  setStatus("완료");
+  refreshStats();
+}
 
-  if (strict && used.size === 0) {
-    const warn = document.createElement("div");
-    warn.className = "muted";
-    warn.textContent =
-      "주의: 답변에 [C#] 인용이 없습니다. 근거 기반 답변으로 보기 어렵습니다. 질문을 더 구체화하거나 근거가 있는지 확인해 주세요.";
-    meta.appendChild(warn);
+// ---------- 근거 조립(토큰 예산 + 이웃 청크 병합) ----------
+// 검색 순위대로 예산 안에서 청크를 고르고, 같은 페이지(섹션)에서 이어지는 청크는 겹침을 빼고 하나로 합침
+// 질문 단어가 청크 경계 근처에 걸리면 앞/뒤 청크도 예산이 남는 만큼 붙여서 답이 잘리지 않게 함
+
+// 토크나이저 없이 어림: 한글/한자는 글자당 약 1토큰, 나머지는 4글자당 1토큰(조금 넉넉하게)
+function estimateTokens(text) {
+  const s = text ?? "";
+  const cjk = (s.match(/[\u3131-\u318E\uAC00-\uD7A3\u4E00-\u9FFF]/g) ?? []).length;
+  return Math.ceil(cjk + (s.length - cjk) / 4);
+}
+
+function llmContextWindow() {
+  if (state.llm?.backend === "server") return state.llm.contextWindow ?? DEFAULT_CONTEXT_WINDOW;
+  const rec = (webllm.prebuiltAppConfig?.model_list ?? []).find(m => m.model_id === state.llm?.model);
+  return rec?.overrides?.context_window_size ?? DEFAULT_CONTEXT_WINDOW;
+}
+
+// messages: 근거를 비운 프롬프트 → { window, reserve, prompt, context(근거에 쓸 토큰) }
+function contextBudget(messages) {
+  const window = llmContextWindow();
+  const reserve = Math.min(ANSWER_RESERVE_TOKENS, Math.floor(window / 4));
+  const prompt = messages.reduce((n, m) => n + estimateTokens(m.content) + 4, 0);
+  return { window, reserve, prompt, context: Math.max(0, window - reserve - prompt) };
+}
+
+// a의 끝과 b의 앞이 겹치면(청크 overlap) 한 번만 남기고 이어 붙임
+function joinOverlapping(a, b) {
+  const max = Math.min(a.length, b.length, CHUNK_OVERLAP + 50);
+  for (let k = max; k >= 20; k--) {
+    if (a.endsWith(b.slice(0, k))) return a + b.slice(k);
   }
+  return `${a}\n${b}`;
+}
 
-  const sourceLine = document.createElement("div");
-  sourceLine.className = "muted";
-  sourceLine.textContent = `근거 검색 Top ${TOP_K}개에서 답변 생성`;
-  meta.appendChild(sourceLine);
+// 질문 단어가 청크 앞/뒤 CONTEXT_EDGE_CHARS 안에 있으면 그쪽 이웃이 필요
+function boundarySides(text, terms) {
+  const t = text.toLowerCase();
+  const sides = { prev: false, next: false };
+  for (const term of terms) {
+    const w = term.toLowerCase();
+    for (let i = t.indexOf(w); i >= 0; i = t.indexOf(w, i + 1)) {
+      if (i < CONTEXT_EDGE_CHARS) sides.prev = true;
+      if (i + w.length > t.length - CONTEXT_EDGE_CHARS) sides.next = true;
+    }
+  }
+  return sides;
+}
 
-  if (showContext) {
-    meta.appendChild(renderContextDetails(top, used));
+// 고른 청크들 → 근거 블록. 문서 순서상 바로 이어지고 페이지/섹션이 같으면 합침
+// picked: Map(id -> { ch, hit?, rank }), order: docId -> { list, pos }
+function mergeContextBlocks(picked, order) {
+  const byDoc = new Map();
+  for (const p of picked.values()) {
+    if (!byDoc.has(p.ch.docId)) byDoc.set(p.ch.docId, []);
+    byDoc.get(p.ch.docId).push(p);
+  }
+
+  const blocks = [];
+  for (const [docId, list] of byDoc) {
+    const { pos } = order.get(docId);
+    list.sort((a, b) => pos.get(a.ch.id) - pos.get(b.ch.id));
+    let cur = null;
+    for (const p of list) {
+      const joinable = cur
+        && pos.get(p.ch.id) === pos.get(cur.last.ch.id) + 1
+        && (p.ch.page ?? null) === (cur.last.ch.page ?? null)
+        && (p.ch.section ?? []).join("\u0000") === (cur.last.ch.section ?? []).join("\u0000");
+      if (joinable) {
+        cur.parts.push(p);
+        cur.text = joinOverlapping(cur.text, p.ch.text);
+        cur.last = p;
+      } else {
+        cur = { parts: [p], text: p.ch.text, last: p };
+        blocks.push(cur);
+      }
+    }
+  }
+
+  for (const b of blocks) {
+    b.rank = Math.min(...b.parts.map(p => p.rank));
+    b.tokens = estimateTokens(`[C00] (${chunkLocator(b.parts[0].ch)})\n${b.text}`) + 2;
+  }
+  return blocks.sort((a, b) => a.rank - b.rank);
+}
+
+function blocksTokens(blocks) {
+  return blocks.reduce((n, b) => n + b.tokens, 0);
+}
+
+// hits: 검색 결과(순위순) → { items: 근거 블록(검색 결과와 같은 모양), tokens: 추정 사용량 }
+async function assembleContext(hits, budget, queryText) {
+  const order = new Map();
+  const docOrder = (docId) => {
+    if (!order.has(docId)) {
+      const list = state.chunks.filter(ch => ch.docId === docId).sort(docChunkOrder);
+      order.set(docId, { list, pos: new Map(list.map((ch, i) => [ch.id, i])) });
+    }
+    return order.get(docId);
+  };
+
+  const picked = new Map();
+  let blocks = [];
+  const tryAdd = (entry) => {
+    if (picked.has(entry.ch.id)) return true;
+    docOrder(entry.ch.docId);
+    picked.set(entry.ch.id, entry);
+    const next = mergeContextBlocks(picked, order);
+    if (blocksTokens(next) > budget) {
+      picked.delete(entry.ch.id);
+      return false;
+    }
+    blocks = next;
+    return true;
+  };
+
+  // 1) 검색 순위대로(예산을 넘는 청크는 건너뜀)
+  hits.forEach((hit, i) => tryAdd({ ch: hit.ch, hit, rank: i }));
+  if (picked.size === 0 && hits.length) {
+    // 하나도 안 들어가면 1위 청크를 예산만큼 잘라서라도 넣음
+    const ch = { ...hits[0].ch, text: hits[0].ch.text.slice(0, Math.max(200, budget)) };
+    picked.set(ch.id, { ch, hit: hits[0], rank: 0 });
+    blocks = mergeContextBlocks(picked, order);
+  }
+
+  // 2) 경계에 걸린 청크의 앞/뒤 이웃(순위가 높은 것부터, 예산이 남는 만큼)
+  const terms = questionTerms(queryText);
+  const wanted = [];
+  for (const p of [...picked.values()].sort((a, b) => a.rank - b.rank)) {
+    const { list, pos } = docOrder(p.ch.docId);
+    const at = pos.get(p.ch.id);
+    const sides = boundarySides(p.ch.text, terms);
+    if (sides.prev && list[at - 1]) wanted.push({ id: list[at - 1].id, rank: p.rank + 0.5 });
+    if (sides.next && list[at + 1]) wanted.push({ id: list[at + 1].id, rank: p.rank + 0.5 });
+  }
+  const missing = wanted.filter(w => !picked.has(w.id));
+  if (missing.length) {
+    const recs = new Map((await loadChunkRecords(missing.map(w => w.id))).map(r => [r.id, r]));
+    for (const w of missing) {
+      if (recs.has(w.id)) tryAdd({ ch: recs.get(w.id), rank: w.rank });
+    }
+  }
+
+  const items = blocks.map(b => {
+    const best = b.parts.filter(p => p.hit).sort((x, y) => x.rank - y.rank)[0] ?? b.parts[0];
+    const first = b.parts[0].ch;
+    const base = best.hit ?? { score: 0, vecRank: null, vecScore: null, lexRank: null, lexScore: null };
+    return {
+      ...base,
+      neighbors: b.parts.filter(p => !p.hit).length,
+      ch: {
+        ...best.ch,
+        page: first.page,
+        section: first.section,
+        ocr: b.parts.some(p => p.ch.ocr) || undefined,
+        ids: b.parts.map(p => p.ch.id),
+        text: b.text,
+      },
+    };
+  });
+  return { items, tokens: blocksTokens(blocks) };
+}
+
+function tokenUsageLabel(turn) {
+  const b = turn.budget;
+  const plan = `컨텍스트 창 ${b.window} · 근거 예산 ${b.context} 중 약 ${b.used} 사용(추정)`;
+  const u = turn.usage;
+  if (!u) return `토큰: 엔진이 사용량을 알려주지 않음 · ${plan}`;
+  return `토큰: 프롬프트 ${u.prompt_tokens} + 답변 ${u.completion_tokens} = ${u.total_tokens ?? u.prompt_tokens + u.completion_tokens} · ${plan}`;
+}
+
+// ---------- 답변 검증(문장 단위 인용 확인) ----------
+// 문장 경계: 줄바꿈, 또는 . ! ? 。 뒤에 공백/끝(소수점 1.5 같은 건 안 자름)
+// 결과는 원문 오프셋 { start, end } → 말풍선에서 그대로 감싸서 표시
+function splitSentenceSpans(text, { newlineBreaks = true } = {}) {
+  const spans = [];
+  let start = 0;
+
+  const push = (end) => {
+    let a = start;
+    let b = end;
+    while (a < b && /\s/.test(text[a])) a++;
+    while (b > a && /\s/.test(text[b - 1])) b--;
+    if (b > a) spans.push({ start: a, end: b });
+    start = end;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\n" && newlineBreaks) {
+      push(i);
+    } else if (".!?。".includes(ch)) {
+      // 문장부호 뒤에 인용 표시([C1])가 바로 붙으면 같이 묶음
+      let j = i + 1;
+      while (/[.!?。"”’)\]]/.test(text[j] ?? "")) j++;
+      const cite = /^\s*(\[C\d+\]\s*)+/.exec(text.slice(j));
+      if (cite) j += cite[0].length;
+      if (j >= text.length || /\s/.test(text[j]) || cite) {
+        push(j);
+        i = j - 1;
+      }
+    }
+  }
+  push(text.length);
+  return spans;
+}
+
+function citationsIn(text) {
+  return [...text.matchAll(/\[C(\d+)\]/g)].map(m => Number(m[1]));
+}
+
+// 숫자(금액/조항/연도)는 표현이 조금만 달라도 의미가 바뀌므로 따로 대조
+function numberTokens(text) {
+  return (text.replace(/(\d),(?=\d{3})/g, "$1").match(/\d+(?:\.\d+)?/g) ?? []);
+}
+
+function lexicalOverlap(sentence, chunkTokens) {
+  const toks = [...new Set(lexTokens(sentence))];
+  if (toks.length === 0) return 0;
+  let hit = 0;
+  for (const t of toks) if (chunkTokens.has(t)) hit++;
+  return hit / toks.length;
+}
+
+// 근거 청크를 문장(긴 건 300자 창) 단위로 나눠 임베딩 → 답변 문장과 최대 유사도 비교
+async function embedChunkSentences(chunk) {
+  const text = chunk.text;
+  const pieces = [];
+  for (const { start, end } of splitSentenceSpans(text, { newlineBreaks: false })) {
+    for (let a = start; a < end; a += 300) pieces.push(text.slice(a, Math.min(end, a + 300)));
+  }
+  const picked = pieces.filter(p => p.trim().length >= 8).slice(0, VERIFY_MAX_CHUNK_SENTENCES);
+  const vecs = [];
+  for (let i = 0; i < picked.length; i += 16) {
+    vecs.push(...await embedTexts(picked.slice(i, i + 16), "passage"));
+  }
+  return vecs;
+}
+
+function claimStatus(support, numbersOk) {
+  if (support >= VERIFY_OK && numbersOk) return "ok";
+  if (support >= VERIFY_WEAK) return "weak";
+  return "unsupported";
+}
+
+// contexts: retrieveTopChunks 결과(C1 = contexts[0])
+// → { score(0~1), sentences: [{ start, end, status, support, cites, note }] }
+async function verifyAnswer(answer, contexts) {
+  // [출처] 섹션부터는 주장 문장이 아님
+  const srcIdx = answer.search(/^\s*\[?출처\]?\s*:?\s*$|^\s*\[출처\]/m);
+  const body = srcIdx >= 0 ? answer.slice(0, srcIdx) : answer;
+
+  const spans = splitSentenceSpans(body).filter(sp => {
+    const t = body.slice(sp.start, sp.end).replace(/\[C\d+\]/g, "").trim();
+    return t.length >= 6 && !/^자료에 근거가 없습니다/.test(t);
+  });
+  if (spans.length === 0) return { score: null, sentences: [] };
+
+  // 인용 없는 문장은 같은 줄(문단)의 인용을 빌려 씀
+  const lineCites = (sp) => {
+    const ls = body.lastIndexOf("\n", sp.start) + 1;
+    const le = body.indexOf("\n", sp.end);
+    return citationsIn(body.slice(ls, le < 0 ? body.length : le));
+  };
+
+  const claims = spans.map(sp => {
+    const raw = body.slice(sp.start, sp.end);
+    const own = citationsIn(raw);
+    const cites = (own.length ? own : lineCites(sp)).filter(n => contexts[n - 1]);
+    return { ...sp, text: raw.replace(/\[C\d+\]/g, "").trim(), cites, inherited: own.length === 0 };
+  });
+
+  const needed = [...new Set(claims.flatMap(c => c.cites))];
+  const chunkInfo = new Map();
+  for (const n of needed) {
+    const ch = contexts[n - 1].ch;
+    chunkInfo.set(n, {
+      vecs: await embedChunkSentences(ch),
+      tokens: new Set(lexTokens(ch.text)),
+      numbers: new Set(numberTokens(ch.text)),
+    });
+  }
+  const claimVecs = await embedTexts(claims.map(c => c.text));
+
+  let weighted = 0;
+  let totalLen = 0;
+  const sentences = claims.map((c, i) => {
+    let best = { support: 0, cite: null, numbersOk: true };
+    for (const n of c.cites) {
+      const info = chunkInfo.get(n);
+      let sim = 0;
+      for (const v of info.vecs) sim = Math.max(sim, dot(claimVecs[i], v));
+      const support = 0.5 * clamp01(sim) + 0.5 * lexicalOverlap(c.text, info.tokens);
+      const numbersOk = numberTokens(c.text).every(x => info.numbers.has(x));
+      if (support > best.support) best = { support, cite: n, numbersOk };
+    }
+
+    let status = c.cites.length ? claimStatus(best.support, best.numbersOk) : "missing";
+    const notes = [];
+    if (!c.cites.length) notes.push("인용 없음");
+    else if (c.inherited) notes.push("문단 인용 기준");
+    if (!best.numbersOk) notes.push("숫자가 근거와 다름");
+    if (status === "ok" && c.inherited) status = "weak";
+
+    const support = c.cites.length ? best.support : 0;
+    weighted += support * c.text.length;
+    totalLen += c.text.length;
+
+    return {
+      start: c.start,
+      end: c.end,
+      status,
+      support: Number(support.toFixed(3)),
+      cites: c.cites,
+      note: notes.join(", "),
+    };
+  });
+
+  return { score: totalLen ? weighted / totalLen : null, sentences };
+}
+
+// ---------- 발췌 답변(LLM 없이) ----------
+// 상위 근거 청크를 문장으로 나눠 질문과 비교(임베딩 유사도 + 질문 단어 포함률) → 가장 잘 맞는 문장을 [C#]와 함께 나열
+const EXTRACT_SENTENCES = 4;
+const EXTRACT_MIN_SCORE = 0.35;
+
+// 질문 끝 어미/조사, 의문사 등은 핵심어에서 뺌
+const QUESTION_STOPWORDS = new Set([
+  "무엇", "뭐", "뭐야", "뭔지", "뭔가", "무슨", "어떻게", "얼마나", "어떤", "언제", "어디", "누구", "얼마", "왜", "있나요", "있어", "알려줘",
+  "알려주세요", "설명해줘", "설명", "해줘", "주세요", "경우", "관련", "대해", "대한", "내용",
+]);
+const KO_PARTICLE_RE = /(으로서|으로써|에서는|에게서|이라도|까지는|부터는|으로|에서|에게|까지|부터|처럼|보다|이나|이란|라는|인가요|인가|나요|은요|는요|이요|이야|야|요|은|는|이|가|을|를|에|의|로|와|과|도|만|나)$/;
+
+function questionTerms(question) {
+  const out = new Set();
+  for (const raw of question.split(/[^\p{L}\p{N}.,%-]+/u)) {
+    let w = raw.replace(/^[.,-]+|[.,?-]+$/g, "");
+    if (/[가-힣]/.test(w) && w.length > 2) w = w.replace(KO_PARTICLE_RE, "");
+    if (w.length < 2 && !/\d/.test(w)) continue;
+    if (QUESTION_STOPWORDS.has(w)) continue;
+    out.add(w);
+  }
+  return [...out];
+}
+
+async function extractiveAnswer(questionText, qVec, top, strict) {
+  const terms = questionTerms(questionText);
+  const qTokens = [...new Set(lexTokens(questionText))];
+
+  const cands = [];
+  top.forEach((item, idx) => {
+    const text = item.ch.text;
+    const seen = new Set();
+    for (const { start, end } of splitSentenceSpans(text)) {
+      const sentence = text.slice(start, end).trim();
+      const key = sentence.replace(/\s+/g, "");
+      if (sentence.length < 8 || seen.has(key) || /^\|(\s*---\s*\|)+$/.test(sentence)) continue;
+      seen.add(key);
+      cands.push({ cite: idx + 1, sentence, key });
+      if (seen.size >= VERIFY_MAX_CHUNK_SENTENCES) break;
+    }
+  });
+  if (cands.length === 0) return { answer: "자료에 근거가 없습니다.", terms };
+
+  const vecs = [];
+  for (let i = 0; i < cands.length; i += 16) {
+    vecs.push(...await embedTexts(cands.slice(i, i + 16).map(c => c.sentence), "passage"));
+    setProgress(0.25 + 0.6 * Math.min(1, (i + 16) / cands.length));
+  }
+
+  cands.forEach((c, i) => {
+    const toks = new Set(lexTokens(c.sentence));
+    const overlap = qTokens.length ? qTokens.filter(t => toks.has(t)).length / qTokens.length : 0;
+    c.score = 0.6 * clamp01(dot(qVec, vecs[i])) + 0.4 * overlap;
+  });
+
+  // 청크가 겹쳐(overlap) 같은 문장이 두 번 나올 수 있으므로 본문 기준 중복 제거
+  const picked = [];
+  const used = new Set();
+  for (const c of [...cands].sort((a, b) => b.score - a.score)) {
+    if (picked.length >= EXTRACT_SENTENCES) break;
+    if (used.has(c.key)) continue;
+    if (picked.length > 0 && c.score < EXTRACT_MIN_SCORE) break;
+    used.add(c.key);
+    picked.push(c);
+  }
+
+  if (strict && picked[0].score < EXTRACT_MIN_SCORE) {
+    return { answer: "자료에 근거가 없습니다.", terms };
+  }
+
+  const cites = [...new Set(picked.map(c => c.cite))].sort((a, b) => a - b);
+  const answer = [
+    "근거 자료에서 질문과 가장 관련 있는 문장입니다(LLM 없이 발췌).",
+    "",
+    ...picked.map(c => `- ${c.sentence.replace(/\s*\n\s*/g, " ")} [C${c.cite}]`),
+    "",
+    "[출처]",
+    cites.map(n => `[C${n}]`).join(", "),
+  ].join("\n");
+
+  return { answer, terms };
+}
+
+// 태그 밖 글자에만 핵심어 <mark> (title 속성이나 [C#] 버튼은 건드리지 않음)
+function highlightTerms(html, terms) {
+  const words = (terms ?? []).map(escapeHtml).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (words.length === 0) return html;
+  // 엔티티(&#39; 등)를 먼저 통째로 잡아 그대로 두고, 그 안의 글자는 핵심어로 보지 않음
+  const re = new RegExp("(&(?:#\\d+|#x[0-9a-fA-F]+|[a-zA-Z]+\\d*);)|" + words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "g");
+  const mark = (m, entity) => (entity ? m : `<mark>${m}</mark>`);
+  return html.split(/(<[^>]*>)/).map(part => (part.startsWith("<") ? part : part.replace(re, mark))).join("");
+}
+
+// 저장된 턴 → 말풍선 HTML(검증 표시 + 발췌 핵심어 + 클릭 가능한 인용)
+function answerBubbleHtml(turn) {
+  return highlightTerms(verifiedBubbleHtml(turn.answer, turn.verification), turn.terms);
+}
+
+const CLAIM_LABELS = {
+  ok: "근거 확인",
+  weak: "근거 약함",
+  unsupported: "근거 불일치",
+  missing: "인용 없음",
+};
+
+// 검증 결과를 말풍선 HTML로: 약한/없는 근거 문장만 표시
+function verifiedBubbleHtml(answer, verification) {
+  if (!verification?.sentences?.length) return linkCitations(asBubbleHtml(answer));
+
+  let html = "";
+  let pos = 0;
+  for (const sn of verification.sentences) {
+    html += asBubbleHtml(answer.slice(pos, sn.start));
+    const inner = asBubbleHtml(answer.slice(sn.start, sn.end));
+    if (sn.status === "ok") {
+      html += inner;
+    } else {
+      const title = [CLAIM_LABELS[sn.status], `일치도 ${Math.round(sn.support * 100)}%`, sn.note]
+        .filter(Boolean).join(" · ");
+      html += `<span class="claim ${sn.status}" title="${escapeHtml(title)}">${inner}</span>`;
+    }
+    pos = sn.end;
+  }
+  html += asBubbleHtml(answer.slice(pos));
+  return linkCitations(html);
+}
+
+function renderVerificationSummary(verification) {
+  const el = document.createElement("div");
+  el.className = "muted";
+  if (verification?.score == null) {
+    el.textContent = "근거 일치도: 확인할 문장이 없습니다.";
+    return el;
+  }
+
+  const flagged = verification.sentences.filter(sn => sn.status !== "ok").length;
+  const pct = Math.round(verification.score * 100);
+  el.innerHTML = [
+    `근거 일치도 <strong>${pct}%</strong>`,
+    `문장 ${verification.sentences.length}개 중 확인 필요 ${flagged}개`,
+    flagged ? `<span class="claim weak">근거 약함</span> <span class="claim unsupported">불일치/인용 없음</span>` : "",
+  ].filter(Boolean).join(" · ");
+  return el;
+}
+
+// ---------- 원문 보기(인용 클릭 → PDF 페이지 + 하이라이트) ----------
+// 말풍선 HTML(이스케이프된 상태)의 [C#]를 클릭 가능한 버튼으로
+function linkCitations(html) {
+  return html.replace(/\[C(\d+)\]/g,
+    `<button type="button" class="cite" data-cite="$1" title="원문 보기">[C$1]</button>`);
+}
+
+// 페이지 텍스트 조각(items)에서 청크 본문이 걸친 구간 찾기
+// 공백은 추출 과정에서 바뀌므로 빼고 비교 → [첫 조각, 끝 조각] 또는 null
+// (다단/표는 읽기 순서를 다시 맞춘 텍스트라 원래 순서와 다르면 앞뒤 일부로 범위를 추정)
+function findTextSpan(items, text) {
+  let compact = "";
+  const owner = [];
+  items.forEach((item, i) => {
+    for (const ch of item.str) {
+      if (/\s/.test(ch)) continue;
+      compact += ch;
+      owner.push(i);
+    }
+  });
+
+  // 표는 추출 시 "| 칸 | 칸 |" + 구분 행을 붙였으므로 그 표시는 빼고 비교
+  const needle = (text ?? "")
+    .replace(/^\|(\s*---\s*\|)+\s*$/gm, "")
+    .replace(/[|\s]+/g, "");
+  if (!needle || !compact) return null;
+
+  let from = compact.indexOf(needle);
+  let to = from >= 0 ? from + needle.length - 1 : -1;
+
+  // 정확히 안 맞으면(하이픈/특수문자 차이 등) 앞뒤 일부로 범위 추정
+  if (from < 0) {
+    const n = Math.max(4, Math.min(30, Math.floor(needle.length / 3)));
+    from = compact.indexOf(needle.slice(0, n));
+    const tail = compact.lastIndexOf(needle.slice(-n));
+    if (from < 0 && tail < 0) return null;
+    if (from < 0) from = Math.max(0, tail + n - needle.length);
+    to = tail >= from ? tail + n - 1 : Math.min(compact.length - 1, from + needle.length - 1);
+  }
+
+  return [owner[from], owner[to]];
+}
+
+async function loadSourceFile(docId) {
+  const [rec] = await dbGetMany(STORE_FILES, [docId]);
+  return rec ?? null;
+}
+
+function isPdfDoc(doc) {
+  return doc?.type === "application/pdf" || /\.pdf$/i.test(doc?.name ?? "");
+}
+
+// ctx: retrieveTopChunks 결과 한 건(세션에 저장된 스냅샷 포함)
+async function openSource(ctx) {
+  const ch = ctx.ch;
+  const doc = state.docs.find(d => d.id === ch.docId);
+  const els = state.els;
+
+  els.sourceViewer.hidden = false;
+  els.svTitle.textContent = doc ? docLabel(doc) : ch.docName;
+  els.svLocator.textContent = chunkLocator(ch);
+  els.svPage.innerHTML = "";
+  els.svText.innerHTML = "";
+
+  const prev = state.viewer;
+  state.viewer = { docId: ch.docId, page: ch.page, numPages: 0, pdf: null, ch };
+
+  const file = doc && isPdfDoc(doc) && ch.page ? await loadSourceFile(doc.id) : null;
+  if (!file) {
+    // 원본이 없거나(가져온 문서/이전 버전) PDF가 아니면 청크 본문만 보여줌
+    prev?.renderTask?.cancel();
+    prev?.pdf?.destroy();
+    els.svNav.hidden = true;
+    els.svPage.style.width = "";
+    els.svPage.style.height = "";
+    els.svText.innerHTML = [
+      `<p class="muted">${!doc
+        ? "이 문서는 삭제되어 저장된 근거 본문만 보여줍니다."
+        : isPdfDoc(doc) ? "원본 파일이 저장되어 있지 않아(가져온 문서 등) 근거 본문만 보여줍니다." : "근거 본문"}</p>`,
+      `<mark>${escapeHtml(ch.text)}</mark>`,
+    ].join("");
+    return;
+  }
+
+  els.svNav.hidden = false;
+  if (prev?.docId === doc.id && prev.pdf) {
+    state.viewer.pdf = prev.pdf;
+  } else {
+    prev?.pdf?.destroy();
+    setStatus(`원문 여는 중: ${docLabel(doc)}`);
+    state.viewer.pdf = await pdfjsLib.getDocument({ data: await file.blob.arrayBuffer() }).promise;
+  }
+  state.viewer.numPages = state.viewer.pdf.numPages;
+  await renderSourcePage();
+}
+
+async function renderSourcePage() {
+  const v = state.viewer;
+  if (!v?.pdf) return;
+  const els = state.els;
+
+  v.renderTask?.cancel();
+  els.svPageInfo.textContent = `${v.page} / ${v.numPages}`;
+  els.svPrev.disabled = v.page <= 1;
+  els.svNext.disabled = v.page >= v.numPages;
+
+  const page = await v.pdf.getPage(v.page);
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.max(0.5, (els.svBody.clientWidth - 4) / base.width);
+  const viewport = page.getViewport({ scale });
+  const dpr = window.devicePixelRatio || 1;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.floor(viewport.width * dpr);
+  canvas.height = Math.floor(viewport.height * dpr);
+  canvas.style.width = `${viewport.width}px`;
+  canvas.style.height = `${viewport.height}px`;
+
+  els.svPage.innerHTML = "";
+  els.svPage.style.width = `${viewport.width}px`;
+  els.svPage.style.height = `${viewport.height}px`;
+  els.svPage.appendChild(canvas);
+
+  v.renderTask = page.render({
+    canvasContext: canvas.getContext("2d"),
+    viewport,
+    transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : null,
+  });
+  try {
+    await v.renderTask.promise;
+  } catch (e) {
+    if (e?.name === "RenderingCancelledException") return;
+    throw e;
+  }
+
+  // 인용된 청크의 페이지일 때만 하이라이트
+  if (v.page !== v.ch.page) {
+    setStatus(`원문 보기: p.${v.page}`);
+    return;
+  }
+
+  if (v.ch.ocr) {
+    setStatus("OCR로 읽은 스캔 페이지라 글자 위치 없이 페이지만 표시합니다.");
+    return;
+  }
+
+  const { items } = await page.getTextContent();
+  const span = findTextSpan(items, v.ch.text);
+  if (!span) {
+    setStatus("원문에서 근거 위치를 찾지 못했습니다(페이지만 표시).");
+    return;
+  }
+
+  let first = null;
+  for (let i = span[0]; i <= span[1]; i++) {
+    const item = items[i];
+    if (!item.str.trim()) continue;
+    const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+    const h = Math.hypot(tx[2], tx[3]);
+    const box = document.createElement("div");
+    box.className = "sv-hl";
+    box.style.left = `${tx[4]}px`;
+    box.style.top = `${tx[5] - h}px`;
+    box.style.width = `${item.width * scale}px`;
+    box.style.height = `${h}px`;
+    els.svPage.appendChild(box);
+    first ??= box;
+  }
+  first?.scrollIntoView({ block: "center" });
+  setStatus(`원문 보기: ${chunkLocator(v.ch)}`);
+}
+
+function moveSourcePage(delta) {
+  const v = state.viewer;
+  if (!v?.pdf) return;
+  const next = Math.min(v.numPages, Math.max(1, v.page + delta));
+  if (next === v.page) return;
+  v.page = next;
+  renderSourcePage().catch((e) => console.error(e));
+}
+
+function closeSource() {
+  state.viewer?.renderTask?.cancel();
+  state.viewer?.pdf?.destroy();
+  state.viewer = null;
+  state.els.sourceViewer.hidden = true;
+  state.els.svPage.innerHTML = "";
+}
+
+// ---------- 생성 제어(중지/다시 생성/수정 후 다시 보내기) ----------
+// 생성은 한 번에 하나만(질문/다시 생성/문서 요약 공통): 도는 동안 질문·요약 버튼을 막고 중지 버튼을 보여줌
+
+// 중지 버튼으로 끊긴 비스트리밍 호출(요약 등) → 잘린 결과를 쓰지 않고 빠져나감
+class GenerationStopped extends Error {}
+async function withGeneration(fn) {
+  if (state.generating) return;
+  state.generating = { stopped: false };
+  renderGenerating();
+  try {
+    await fn();
+  } finally {
+    state.generating = null;
+    renderGenerating();
+  }
+}
+
+function renderGenerating() {
+  const busy = !!state.generating;
+  state.els.btnAsk.disabled = busy;
+  state.els.btnStop.hidden = !busy;
+  state.els.btnStop.disabled = !!state.generating?.stopped;
+  renderDocs();   // 요약 버튼
+}
+
+// 부분 답변은 남기고 스트림만 끊음(WebLLM/서버 어댑터 모두 interruptGenerate)
+function stopGeneration() {
+  if (!state.generating || state.generating.stopped) return;
+  state.generating.stopped = true;
+  state.engine?.interruptGenerate?.();
+  setStatus("생성 중지 중…");
+  renderGenerating();
+}
+
+// 같은 근거(저장된 스냅샷)로 답변만 새로 생성해서 그 턴을 바꿈
+async function regenerateTurn(assistantEl) {
+  const session = state.session;
+  const turn = assistantEl.turn;
+  const index = session?.turns.indexOf(turn) ?? -1;
+  if (index < 0) return;
+  if (!state.engine) {
+    alert("다시 생성하려면 LLM이 필요합니다. WebLLM 모델을 로드하거나 로컬 서버에 연결해 주세요.");
+    return;
+  }
+
+  const { answer, verification, usage, stopped } = await generateAnswer(
+    session.turns.slice(0, index),
+    turn.question,
+    turn.contexts,
+    turn.strict,
+    findPreset(turn.preset?.id),
+    assistantEl
+  );
+  setProgress(0);
+
+  Object.assign(turn, { answer, verification, usage, stopped, mode: "llm", terms: null, at: nowISO() });
+  session.updatedAt = turn.at;
+  await dbPutMany(STORE_SESSIONS, [session]);
+  sortSessions();
+  renderSessionSelect();
+
+  assistantEl.querySelector(".bubble").innerHTML = answerBubbleHtml(turn);
+  renderAnswerMeta(assistantEl, turn, state.els.showContext.checked);
+  setStatus(stopped ? "생성 중지" : "완료");
+}
+
+function startEditTurn(turn) {
+  state.editing = turn;
+  state.els.question.value = turn.question;
+  state.els.question.focus();
+  state.els.editNotice.hidden = false;
+}
+
+function cancelEditTurn() {
+  state.editing = null;
+  state.els.editNotice.hidden = true;
+}
+
+// 수정한 질문을 보낼 때: 그 턴부터 뒤를 잘라내고 새로 질문(ask에서 사전 확인이 끝난 뒤에 부름)
+async function truncateAtEditedTurn(turn) {
+  const session = state.session;
+  const index = session?.turns.indexOf(turn) ?? -1;
+  cancelEditTurn();
+  if (index < 0) return;
+
+  session.turns = session.turns.slice(0, index);
+  session.updatedAt = nowISO();
+  await dbPutMany(STORE_SESSIONS, [session]);
+  renderSession();
+}
+
+// ---------- 대화 세션 ----------
+function sortSessions() {
+  state.sessions.sort((a, b) => (b.updatedAt ?? "").localeCompare(a.updatedAt ?? ""));
+}
+
+async function loadSessions() {
+  state.sessions = (await dbGetAll(STORE_SESSIONS)) || [];
+  sortSessions();
+  state.session = state.sessions[0] ?? null;
+  renderSessionSelect();
+  renderSession();
+}
+
+function createSession() {
+  const t = nowISO();
+  return { id: uuid(), title: "", createdAt: t, updatedAt: t, turns: [] };
+}
+
+// 현재 세션이 없으면 새로 만들고 저장
+async function ensureSession() {
+  if (state.session) return state.session;
+  state.session = createSession();
+  state.sessions.unshift(state.session);
+  await dbPutMany(STORE_SESSIONS, [state.session]);
+  renderSessionSelect();
+  return state.session;
+}
+
+async function appendTurn(session, turn) {
+  session.turns.push(turn);
+  session.updatedAt = turn.at;
+  if (!session.title) session.title = clipText(turn.question, 30);
+  await dbPutMany(STORE_SESSIONS, [session]);
+  sortSessions();
+  renderSessionSelect();
+}
+
+function sessionLabel(ss) {
+  const when = (ss.updatedAt ?? "").slice(0, 16).replace("T", " ");
+  return `${ss.title || "새 대화"} · ${when}`;
+}
+
+function renderSessionSelect() {
+  const select = state.els.sessionSelect;
+  select.innerHTML = "";
+
+  if (!state.session) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = "새 대화";
+    select.appendChild(opt);
+  }
+  for (const ss of state.sessions) {
+    const opt = document.createElement("option");
+    opt.value = ss.id;
+    opt.textContent = sessionLabel(ss);
+    select.appendChild(opt);
+  }
+  select.value = state.session?.id ?? "";
+}
+
+function renderSession() {
+  state.els.chat.innerHTML = "";
+
+  const session = state.session;
+  if (!session || session.turns.length === 0) {
+    addWelcomeMessage();
+    return;
+  }
+
+  const showContext = state.els.showContext.checked;
+  for (const turn of session.turns) {
+    addMessage("user", turn.question).turn = turn;
+    const el = addMessage("assistant", turn.answer);
+    el.querySelector(".bubble").innerHTML = answerBubbleHtml(turn);
+    renderAnswerMeta(el, turn, showContext);
+  }
+}
+
+function switchSession(id) {
+  cancelEditTurn();
+  state.session = state.sessions.find(ss => ss.id === id) ?? null;
+  renderSessionSelect();
+  renderSession();
+}
+
+function startNewSession() {
+  // 빈 세션은 저장하지 않고, 첫 질문 때 저장
+  cancelEditTurn();
+  state.session = null;
+  renderSessionSelect();
+  renderSession();
+}
+
+async function deleteCurrentSession() {
+  const session = state.session;
+  if (!session) return;
+
+  const ok = confirm(`이 대화를 삭제할까요?\n${sessionLabel(session)}`);
+  if (!ok) return;
+
+  await dbDelete(STORE_SESSIONS, session.id);
+  state.sessions = state.sessions.filter(ss => ss.id !== session.id);
+  state.session = state.sessions[0] ?? null;
+  renderSessionSelect();
+  renderSession();
+}
+
+// ---------- 대화 내보내기(보고서: Markdown/HTML/CSV) ----------
+// 검토 메모 첨부용: 질문·답변·인용 근거(문서/위치/발췌)·시각을 그대로 남김
+const REPORT_EXCERPT_CHARS = 600;
+
+const REPORT_FORMATS = {
+  md: { ext: "md", type: "text/markdown;charset=utf-8" },
+  html: { ext: "html", type: "text/html;charset=utf-8" },
+  csv: { ext: "csv", type: "text/csv;charset=utf-8" },
+};
+
+function formatDateTime(iso) {
+  return (iso ?? "").slice(0, 19).replace("T", " ");
+}
+
+// 답변에 쓰인 인용만(없으면 검색된 근거 전체를 참고용으로)
+function reportCitations(turn) {
+  const used = parseUsedCitations(turn.answer);
+  return (turn.contexts ?? [])
+    .map((item, idx) => ({ n: idx + 1, item }))
+    .filter(({ n }) => used.size === 0 || used.has(n))
+    .map(({ n, item }) => ({
+      id: `C${n}`,
+      used: used.has(n),
+      doc: item.ch.docName,
+      location: [...(item.ch.section ?? []), item.ch.page ? `p.${item.ch.page}` : ""].filter(Boolean).join(" › "),
+      excerpt: clipText(item.ch.text, REPORT_EXCERPT_CHARS),
+    }));
+}
+
+function reportTurnNotes(turn) {
+  const notes = [];
+  if (turn.mode === "extractive") notes.push("LLM 없이 근거 문장 발췌");
+  else if (turn.preset) notes.push(`프리셋: ${turn.preset.name}`);
+  if (turn.stopped) notes.push("생성 중지(부분 답변)");
+  if (turn.rerank) notes.push("크로스인코더 재순위");
+  if (turn.usage) notes.push(`토큰 ${turn.usage.prompt_tokens} + ${turn.usage.completion_tokens}`);
+  if (turn.verification?.score != null) notes.push(`근거 일치도 ${Math.round(turn.verification.score * 100)}%`);
+  if (turn.retrievalQuery && turn.retrievalQuery !== turn.question) notes.push(`검색 질의: ${turn.retrievalQuery}`);
+  return notes;
+}
+
+function reportToMarkdown(title, turns) {
+  const lines = [`# ${title}`, "", `내보낸 시각: ${formatDateTime(nowISO())}`, ""];
+  turns.forEach((turn, i) => {
+    lines.push(`## Q${i + 1}. ${turn.question.replace(/\s*\n\s*/g, " ")}`, "");
+    lines.push(`- 시각: ${formatDateTime(turn.at)}`);
+    for (const note of reportTurnNotes(turn)) lines.push(`- ${note}`);
+    lines.push("", "### 답변", "", turn.answer.trim(), "", "### 인용 근거", "");
+
+    const cites = reportCitations(turn);
+    if (cites.length === 0) lines.push("(검색된 근거 없음)", "");
+    for (const c of cites) {
+      lines.push(`- **[${c.id}]** ${c.doc}${c.location ? ` › ${c.location}` : ""}${c.used ? "" : " (답변에 인용 없음)"}`);
+      lines.push(...c.excerpt.split("\n").map(l => `  > ${l}`), "");
+    }
+  });
+  return lines.join("\n");
+}
+
+function reportToHtml(title, turns) {
+  const body = turns.map((turn, i) => {
+    const cites = reportCitations(turn).map(c => `
+      <li>
+        <div><strong>[${c.id}]</strong> ${escapeHtml(c.doc)}${c.location ? ` › ${escapeHtml(c.location)}` : ""}${c.used ? "" : " <em>(답변에 인용 없음)</em>"}</div>
+        <blockquote>${asBubbleHtml(c.excerpt)}</blockquote>
+      </li>`).join("");
+    const notes = [`시각: ${formatDateTime(turn.at)}`, ...reportTurnNotes(turn)].map(escapeHtml).join(" · ");
+    return `
+    <section>
+      <h2>Q${i + 1}. ${escapeHtml(turn.question)}</h2>
+      <p class="meta">${notes}</p>
+      <h3>답변</h3>
+      <div class="answer">${asBubbleHtml(turn.answer.trim())}</div>
+      <h3>인용 근거</h3>
+      ${cites ? `<ol class="cites">${cites}</ol>` : "<p>(검색된 근거 없음)</p>"}
+    </section>`;
+  }).join("");
+
+  return `<!doctype html>
+<html lang="ko">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Malgun Gothic", sans-serif; max-width: 860px; margin: 24px auto; padding: 0 16px; line-height: 1.6; color: #111; }
+  section { border-top: 1px solid #ddd; padding-top: 12px; margin-top: 20px; }
+  .meta { color: #666; font-size: 0.92rem; }
+  .answer { background: #fafafa; border: 1px solid #e5e5e5; border-radius: 8px; padding: 10px 12px; }
+  blockquote { margin: 6px 0 12px; padding: 6px 10px; border-left: 3px solid #ccc; color: #444; background: #f8f8f8; }
+  .cites { padding-left: 20px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">내보낸 시각: ${escapeHtml(formatDateTime(nowISO()))}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// 인용 1건당 1행(질문/답변은 반복) → 엑셀에서 필터/정렬하기 쉽게
+function reportToCSV(title, turns) {
+  const rows = [["대화", "번호", "시각", "질문", "답변", "인용", "문서", "위치", "발췌", "비고"]];
+  turns.forEach((turn, i) => {
+    const base = [title, `Q${i + 1}`, formatDateTime(turn.at), turn.question, turn.answer.trim()];
+    const notes = reportTurnNotes(turn).join(" / ");
+    const cites = reportCitations(turn);
+    if (cites.length === 0) rows.push([...base, "", "", "", "", notes]);
+    for (const c of cites) {
+      rows.push([...base, c.id, c.doc, c.location, c.excerpt, [c.used ? "" : "답변에 인용 없음", notes].filter(Boolean).join(" / ")]);
+    }
+  });
+  // 엑셀에서 한글이 깨지지 않게 BOM
+  return "\uFEFF" + rows.map(r => r.map(csvCell).join(",")).join("\r\n");
+}
+
+// turns 생략 시 세션 전체
+function exportReport(format, session, turns = session.turns) {
+  const fmt = REPORT_FORMATS[format];
+  if (!fmt) throw new Error(`지원하지 않는 형식입니다: ${format}`);
+  if (turns.length === 0) {
+    alert("내보낼 질문/답변이 없습니다.");
+    return;
+  }
+
+  const title = turns.length === 1 && turns !== session.turns
+    ? `근거 기반 답변: ${clipText(turns[0].question, 40)}`
+    : `근거 기반 Q&A: ${session.title || "대화"}`;
+  const text = format === "md" ? reportToMarkdown(title, turns)
+    : format === "html" ? reportToHtml(title, turns)
+      : reportToCSV(title, turns);
+
+  const stamp = formatDateTime(nowISO()).replace(/[-: ]/g, "").slice(0, 12);
+  downloadText(`kb-ai-qa-${stamp}.${fmt.ext}`, text, fmt.type);
+}
+
+function renderTurnExportButtons() {
+  const row = document.createElement("div");
+  row.className = "muted";
+  row.innerHTML = `<button type="button" class="cite" data-turn-action="regenerate">다시 생성</button> · 이 답변 내보내기: ${Object.keys(REPORT_FORMATS)
+    .map(f => `<button type="button" class="cite" data-export-turn="${f}">${f.toUpperCase()}</button>`)
+    .join(" · ")}`;
+  return row;
+}
+
+// ---------- UI: 채팅 ----------
+function addMessage(role, text) {
+  const wrap = document.createElement("div");
+  wrap.className = `msg ${role}`;
+
+  const bubble = document.createElement("div");
+  bubble.className = "bubble";
+  bubble.innerHTML = asBubbleHtml(text);
+
+  const meta = document.createElement("div");
+  meta.className = "meta";
+  if (role === "user") {
+    meta.innerHTML = `<button type="button" class="cite" data-turn-action="edit">수정해서 다시 보내기</button>`;
+  }
+
+  wrap.appendChild(bubble);
+  wrap.appendChild(meta);
+
+  state.els.chat.appendChild(wrap);
+  state.els.chat.scrollTop = state.els.chat.scrollHeight;
+
+  return wrap;
+}
+
+function addWelcomeMessage() {
+  // 안내 메시지(대화 기록에는 저장하지 않음)
+  addMessage(
+    "assistant",
+    [
+      "이 페이지는 ‘업로드한 근거자료’에서만 답을 만들도록 설계된 로컬 Q&A입니다.",
+      "",
+      "사용 순서:",
+      "1) PDF/HWPX/DOCX/TXT 업로드 → 추가/인덱싱",
+      "2) (선택) 임베딩 로드",
+      "3) WebLLM 모델 로드 또는 로컬 서버 연결 (없으면 근거 문장 발췌로 답변)",
+      "4) 질문",
+      "",
+      "팁: 질문 입력 후 Ctrl+Enter로 바로 전송할 수 있어요.",
+    ].join("\n")
+  );
+}
+
+// ---------- UI: 문서 리스트 ----------
+// 스캔 페이지를 OCR로 읽은 문서 표시(인식 오류 가능성 안내)
+function ocrPill(doc) {
+  const o = doc.ocr;
+  if (!o) return "";
+  const parts = [];
+  if (o.pages) {
+    const conf = o.confidence != null ? `, 평균 신뢰도 ${Math.round(o.confidence * 100)}%` : "";
+    parts.push(`<span class="pill" title="텍스트 레이어가 없어 OCR로 읽은 페이지${conf}">OCR ${o.pages}쪽</span>`);
+  }
+  if (o.failed) {
+    parts.push(`<span class="pill" title="OCR에 실패해 내용이 빠진 페이지">OCR 실패 ${o.failed}쪽</span>`);
+  }
+  return parts.length ? ` ${parts.join(" ")}` : "";
+}
+
+function renderDocs() {
+  const el = state.els.docsList;
+  if (state.docs.length === 0) {
+    el.innerHTML = "업로드된 문서가 없습니다.";
+    return;
+  }
+
+  // 문서별 청크 수 집계(임베딩 없는 청크 = 재인덱싱 필요)
+  const counts = new Map();
+  const missing = new Map();
+  for (const ch of state.chunks) {
+    counts.set(ch.docId, (counts.get(ch.docId) || 0) + 1);
+    if (!vecStoreHas(state.vec, ch.id)) missing.set(ch.docId, (missing.get(ch.docId) || 0) + 1);
+  }
+  const mismatched = mismatchedDocIds();
+
+  const allChecked = state.docs.every(d => isDocSelected(d.id));
+
+  const rows = state.docs.map(d => {
+    const n = counts.get(d.id) || 0;
+    const miss = missing.get(d.id) || 0;
+    const sizeKB = Math.round(d.size / 1024);
+    const added = (d.addedAt ?? "").slice(0, 10);
+    const sm = state.summaries.get(d.id);
+    const busy = state.summarizing === d.id;
+    const summaryLabel = busy ? "요약 중…" : sm ? "요약 다시 생성" : "요약/FAQ 생성";
+    return `
+      <tr>
+        <td><input type="checkbox" data-doc-select="${escapeHtml(d.id)}" ${isDocSelected(d.id) ? "checked" : ""} /></td>
+        <td>${escapeHtml(d.name)}${(d.version ?? 1) > 1 ? ` <span class="pill">v${d.version}</span>` : ""}${d.status ? ` <span class="pill">인덱싱 미완료</span>` : ""}${ocrPill(d)}</td>
+        <td title="${d.embedModel ? `임베딩: ${escapeHtml(d.embedModel)} (${d.embedDim}차원)` : ""}">${n}${miss ? ` <span class="muted">(${mismatched.has(d.id) ? "다른 모델" : "임베딩 없음"} ${miss})</span>` : ""}</td>
+        <td>${sizeKB}KB</td>
+        <td class="mono">${escapeHtml(added)}</td>
+        <td class="doc-actions">
+          <button class="btn ghost" type="button" data-doc-action="summarize" data-doc-id="${escapeHtml(d.id)}" ${state.generating ? "disabled" : ""}>${summaryLabel}</button>
+          <button class="btn ghost" type="button" data-doc-action="reembed" data-doc-id="${escapeHtml(d.id)}">재인덱싱</button>
+          <button class="btn ghost" type="button" data-doc-action="delete" data-doc-id="${escapeHtml(d.id)}">삭제</button>
+        </td>
+      </tr>${sm ? renderDocSummary(sm) : ""}`;
+  }).join("");
+
+  el.innerHTML = `
+    <table class="sheetlike docs-table">
+      <thead>
+        <tr>
+          <th><input type="checkbox" data-doc-select-all ${allChecked ? "checked" : ""} title="전체 선택/해제" /></th>
+          <th>문서</th>
+          <th>청크</th>
+          <th>크기</th>
+          <th>추가일</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="muted">체크한 문서만 질문 검색 범위에 들어갑니다.</p>
+  `;
+}
+
+// ---------- 문서 관리(선택/삭제/재인덱싱) ----------
+function isDocSelected(docId) {
+  return !state.unselected.has(docId);
+}
+
+function loadDocSelection() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(LS_UNSELECTED_DOCS) || "[]");
+    state.unselected = new Set(Array.isArray(ids) ? ids : []);
+  } catch {
+    state.unselected = new Set();
+  }
+}
+
+function saveDocSelection() {
+  // 이미 삭제된 문서 id는 정리해서 저장
+  const known = new Set(state.docs.map(d => d.id));
+  const ids = [...state.unselected].filter(id => known.has(id));
+  localStorage.setItem(LS_UNSELECTED_DOCS, JSON.stringify(ids));
+}
+
+function setDocSelected(docId, on) {
+  if (on) state.unselected.delete(docId);
+  else state.unselected.add(docId);
+  saveDocSelection();
+}
+
+async function removeDoc(docId) {
+  await dbDeleteDoc(docId);
+  state.docs = state.docs.filter(d => d.id !== docId);
+  dropDocChunks(docId);
+  state.lex.delete(docId);
+  state.summaries.delete(docId);
+  state.unselected.delete(docId);
+  saveDocSelection();
+}
+
+async function deleteDoc(docId) {
+  const doc = state.docs.find(d => d.id === docId);
+  if (!doc) return;
+
+  const label = docLabel(doc);
+  const ok = confirm(`'${label}' 문서와 인덱스를 삭제할까요?`);
+  if (!ok) return;
+
+  await removeDoc(docId);
+  await relabelDocs(doc.name);
+
+  renderDocs();
+  refreshStats();
+  setStatus(`삭제 완료: ${label}`);
+}
+
+// 임베딩을 비우고 작업 큐로 다시 생성(중간에 새로고침해도 이어서 진행)
+async function reembedDoc(docId) {
+  const doc = state.docs.find(d => d.id === docId);
+  const ids = state.chunks.filter(ch => ch.docId === docId).map(ch => ch.id);
+  if (!doc || ids.length === 0) {
+    alert("재인덱싱할 청크가 없습니다.");
+    return;
   }
 
-  setStatus("완료");
+  if (!doc.status) doc.status = "reembedding";
+  vecStoreRemoveDocs(state.vec, new Set([docId]));
+
+  await dbPutMany(STORE_DOCS, [doc]);
+  await dbUpdateMany(STORE_CHUNKS, ids, (rec) => {
+    rec.embedding = null;
+    rec.embedModel = null;
+    rec.embedDim = null;
+  });
+  for (const id of ids) Object.assign(state.chunkById.get(id), { embedModel: null, embedDim: null });
+
+  enqueueEmbed(doc);
+  renderDocs();
   refreshStats();
 }
 
-// ---------- UI: 채팅 ----------
-function addMessage(role, text) {
-  const wrap = document.createElement("div");
-  wrap.className = `msg ${role}`;
+// ---------- 문서 요약/FAQ(map-reduce) ----------
+// 문서 전체 청크를 배치로 나눠 요점 메모(map) → 메모를 합쳐(reduce) 구조화된 요약 + FAQ 생성
+// 위치 표시는 [p.N](페이지 없는 문서는 [섹션])으로 통일해서 요약/FAQ까지 그대로 이어지게 함
+// 단계별 입력 크기는 모델 컨텍스트 창에서 출력 몫과 지시문 몫을 뺀 토큰 수로 정함
+const SUMMARY_OUTPUT_TOKENS = { map: 512, reduce: 768, summary: 1024, faq: 1536 };
+const SUMMARY_PROMPT_TOKENS = 300;   // 시스템 프롬프트/지시문/문서명 어림
+const FAQ_MIN = 10;
+const FAQ_MAX = 20;
+
+// 청크 id(`doc|p3|c12`, `doc|c12`)의 순번
+function chunkSeq(id) {
+  const m = /\|c(\d+)$/.exec(id);
+  return m ? Number(m[1]) : 0;
+}
 
-  const bubble = document.createElement("div");
-  bubble.className = "bubble";
-  bubble.innerHTML = asBubbleHtml(text);
+function docChunkOrder(a, b) {
+  return (a.page ?? 0) - (b.page ?? 0) || chunkSeq(a.id) - chunkSeq(b.id);
+}
 
-  const meta = document.createElement("div");
-  meta.className = "meta";
+function summaryCiteTag(ch) {
+  if (ch.page) return `[p.${ch.page}]`;
+  const sec = ch.section?.[ch.section.length - 1];
+  return sec ? `[${sec}]` : "";
+}
 
-  wrap.appendChild(bubble);
-  wrap.appendChild(meta);
+// 단계별 출력 토큰(작은 창에서는 창의 3/8까지로 줄임)
+function summaryOutputTokens(step) {
+  return Math.min(SUMMARY_OUTPUT_TOKENS[step], Math.floor(llmContextWindow() * 0.375));
+}
 
-  state.els.chat.appendChild(wrap);
-  state.els.chat.scrollTop = state.els.chat.scrollHeight;
+// 그 단계에서 본문/메모에 쓸 수 있는 토큰
+function summaryInputTokens(step) {
+  return Math.max(256, llmContextWindow() - summaryOutputTokens(step) - SUMMARY_PROMPT_TOKENS);
+}
 
-  return wrap;
+// size 합이 max를 넘지 않게 순서대로 묶음(하나가 넘으면 단독 배치)
+function batchBySize(items, max, size) {
+  const batches = [];
+  let cur = [];
+  let len = 0;
+  for (const it of items) {
+    const n = size(it);
+    if (cur.length && len + n > max) {
+      batches.push(cur);
+      cur = [];
+      len = 0;
+    }
+    cur.push(it);
+    len += n;
+  }
+  if (cur.length) batches.push(cur);
+  return batches;
 }
 
-// ---------- UI: 문서 리스트 ----------
-function renderDocs() {
-  const el = state.els.docsList;
-  if (state.docs.length === 0) {
-    el.innerHTML = "업로드된 문서가 없습니다.";
+// 중지되면 GenerationStopped(WebLLM은 중지돼도 그때까지의 출력을 정상 응답처럼 돌려주므로 결과를 버림)
+async function completeOnce(system, user, maxTokens) {
+  const stopped = () => !!state.generating?.stopped;
+  if (stopped()) throw new GenerationStopped();
+
+  let res;
+  try {
+    res = await state.engine.chat.completions.create({
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+      temperature: 0.1,
+      max_tokens: maxTokens,
+    });
+  } catch (e) {
+    if (stopped()) throw new GenerationStopped();
+    throw e;
+  }
+  if (stopped()) throw new GenerationStopped();
+  return (res.choices?.[0]?.message?.content ?? "").trim();
+}
+
+const SUMMARY_SYSTEM = "너는 공문서/지침을 정리하는 어시스턴트다. 주어진 본문에 있는 내용만 쓰고, 추측하지 않는다. 한국어로 쓴다.";
+
+// "Q: …" / "A: …" 줄 → [{ q, a, pages[] }] (번호/굵게 표시는 무시, A 다음 줄은 답변에 이어 붙임)
+function parseFaq(text) {
+  const items = [];
+  let cur = null;
+  for (const raw of text.split("\n")) {
+    const line = raw.replace(/\*\*/g, "").trim();
+    if (!line) continue;
+    const q = /^(?:\d+[.)]\s*)?(?:Q|질문)\s*\d*\s*[:.)]\s*(.+)$/i.exec(line);
+    const a = /^(?:A|답변|답)\s*\d*\s*[:.)]\s*(.+)$/i.exec(line);
+    if (q) {
+      cur = { q: q[1].trim(), a: "" };
+      items.push(cur);
+    } else if (a && cur) {
+      cur.a = a[1].trim();
+    } else if (cur?.a) {
+      cur.a += `\n${line}`;
+    }
+  }
+  return items
+    .filter(it => it.q && it.a)
+    .slice(0, FAQ_MAX)
+    .map(it => ({
+      ...it,
+      pages: [...new Set([...it.a.matchAll(/\[p\.(\d+)\]/g)].map(m => Number(m[1])))],
+    }));
+}
+
+async function summarizeDoc(docId) {
+  const doc = state.docs.find(d => d.id === docId);
+  if (!doc || state.summarizing) return;
+  if (!state.engine) {
+    alert("요약/FAQ는 LLM이 필요합니다. WebLLM 모델을 로드하거나 로컬 서버에 연결해 주세요.");
     return;
   }
 
-  // 문서별 청크 수 집계
-  const counts = new Map();
-  for (const ch of state.chunks) {
-    counts.set(ch.docId, (counts.get(ch.docId) || 0) + 1);
+  const chunks = (await dbGetByIndex(STORE_CHUNKS, "docId", docId)).sort(docChunkOrder);
+  if (chunks.length === 0) {
+    alert("요약할 청크가 없습니다.");
+    return;
   }
+  if (state.summaries.has(docId) && !confirm(`'${docLabel(doc)}'의 요약/FAQ를 다시 만들까요? (기존 결과는 덮어씁니다)`)) return;
 
-  el.innerHTML = state.docs
-    .map(d => {
-      const n = counts.get(d.id) || 0;
-      const sizeKB = Math.round(d.size / 1024);
-      return `• ${escapeHtml(d.name)} <span class="muted">(chunks: ${n}, ${sizeKB}KB)</span>`;
-    })
-    .join("<br>");
+  state.summarizing = docId;
+  renderDocs();
+  const label = docLabel(doc);
+
+  try {
+    // map: 배치별 요점 메모
+    const batches = batchBySize(chunks, summaryInputTokens("map"), (ch) => estimateTokens(ch.text) + 8);
+    let notes = [];
+    for (let i = 0; i < batches.length; i++) {
+      setStatus(`요약 중: ${label} (부분 ${i + 1}/${batches.length})`);
+      setProgress((i / batches.length) * 0.7);
+      const body = batches[i].map(ch => `${summaryCiteTag(ch)}\n${ch.text}`).join("\n\n");
+      notes.push(await completeOnce(SUMMARY_SYSTEM, [
+        `문서: ${doc.name} (부분 ${i + 1}/${batches.length})`,
+        "",
+        "[본문]",
+        body,
+        "",
+        "위 본문의 핵심(대상, 기준, 수치, 기한, 절차, 예외)을 글머리표(-)로 8개 이내로 정리해라.",
+        "각 항목 끝에 본문에 표시된 위치([p.N] 등)를 그대로 붙여라.",
+      ].join("\n"), summaryOutputTokens("map")));
+    }
+
+    // reduce: 메모가 최종 요약/FAQ 입력 한도를 넘으면 묶어서 다시 압축(위치 표시는 유지)
+    const finalBudget = Math.min(summaryInputTokens("summary"), summaryInputTokens("faq"));
+    for (let round = 1; estimateTokens(notes.join("\n\n")) > finalBudget && notes.length > 1; round++) {
+      let groups = batchBySize(notes, summaryInputTokens("reduce"), (n) => estimateTokens(n) + 2);
+      if (groups.length === notes.length) {
+        groups = [];
+        for (let i = 0; i < notes.length; i += 2) groups.push(notes.slice(i, i + 2));
+      }
+      const merged = [];
+      for (let i = 0; i < groups.length; i++) {
+        setStatus(`요약 중: ${label} (합치기 ${round}단계 ${i + 1}/${groups.length})`);
+        merged.push(await completeOnce(SUMMARY_SYSTEM, [
+          "[요점 메모]",
+          groups[i].join("\n\n"),
+          "",
+          "위 메모를 중복 없이 합쳐 글머리표(-) 12개 이내로 다시 정리해라.",
+          "항목 끝의 위치 표시([p.N] 등)는 빠뜨리지 말고 그대로 옮겨라.",
+        ].join("\n"), summaryOutputTokens("reduce")));
+      }
+      notes = merged;
+    }
+    const allNotes = notes.join("\n\n");
+
+    setStatus(`요약 중: ${label} (최종 요약)`);
+    setProgress(0.8);
+    const summary = await completeOnce(SUMMARY_SYSTEM, [
+      `문서: ${doc.name}`,
+      "",
+      "[요점 메모]",
+      allNotes,
+      "",
+      "위 메모만으로 문서 요약을 아래 형식으로 작성해라. 각 항목 끝에 위치 표시([p.N] 등)를 붙여라.",
+      "## 개요",
+      "(2~3문장)",
+      "## 핵심 내용",
+      "- …",
+      "## 주요 수치·기한",
+      "- …",
+      "## 유의사항·예외",
+      "- …",
+    ].join("\n"), summaryOutputTokens("summary"));
+
+    setStatus(`요약 중: ${label} (FAQ)`);
+    setProgress(0.9);
+    const faqText = await completeOnce(SUMMARY_SYSTEM, [
+      `문서: ${doc.name}`,
+      "",
+      "[요점 메모]",
+      allNotes,
+      "",
+      `위 메모로 답할 수 있는 자주 묻는 질문 ${FAQ_MIN}~${FAQ_MAX}개를 만들어라.`,
+      "형식(다른 말은 쓰지 마라):",
+      "Q: 질문",
+      "A: 답변 [p.N]",
+      "답변에는 메모에 있는 위치 표시를 반드시 붙여라.",
+    ].join("\n"), summaryOutputTokens("faq"));
+
+    const faq = parseFaq(faqText);
+    const rec = {
+      docId,
+      summary,
+      faq,
+      model: state.llm?.model ?? "",
+      batches: batches.length,
+      chunkCount: chunks.length,
+      createdAt: nowISO(),
+    };
+    // 생성 도중 문서가 지워졌으면 저장하지 않음
+    if (!state.docs.some(d => d.id === docId)) return;
+    await dbPutMany(STORE_SUMMARIES, [rec]);
+    state.summaries.set(docId, rec);
+
+    setStatus(`요약 완료: ${label} (FAQ ${faq.length}개)`);
+    if (faq.length < FAQ_MIN) {
+      alert(`요약은 저장했지만 FAQ가 ${faq.length}개만 만들어졌습니다. 필요하면 다시 생성해 보세요.`);
+    }
+  } catch (e) {
+    if (!(e instanceof GenerationStopped)) throw e;
+    setStatus(`요약 중지: ${label} (저장하지 않음)`);
+  } finally {
+    state.summarizing = null;
+    setProgress(0);
+    renderDocs();
+  }
+}
+
+function renderDocSummary(sm) {
+  const faq = sm.faq.map(it => `
+          <li>
+            <div><strong>Q.</strong> ${escapeHtml(it.q)}</div>
+            <div><strong>A.</strong> ${asBubbleHtml(it.a)}</div>
+          </li>`).join("");
+  const model = sm.model ? ` · ${escapeHtml(sm.model)}` : "";
+  return `
+      <tr class="doc-summary">
+        <td></td>
+        <td colspan="5">
+          <details>
+            <summary>요약 · FAQ ${sm.faq.length}개 <span class="muted">(${escapeHtml(formatDateTime(sm.createdAt))}${model})</span></summary>
+            <div class="doc-summary-body">${asBubbleHtml(sm.summary)}</div>
+            ${faq ? `<ol class="doc-faq">${faq}</ol>` : ""}
+          </details>
+        </td>
+      </tr>`;
 }
 
 // ---------- 내보내기/가져오기 ----------
-function downloadText(filename, text) {
-  const blob = new Blob([text], { type: "application/json" });
+// 번들(.kbai) 구조: gzip( "KBAI" | u16 version | u32 headerLen | header JSON | pad(4) | f32 scales[n] | i8 vectors[n*dim] )
+// 임베딩은 벡터별 스케일을 둔 int8로 양자화 → float32 대비 약 1/4 크기, 가져오면 재임베딩 없이 바로 검색 가능
+const BUNDLE_MAGIC = "KBAI";
+const BUNDLE_VERSION = 2;
+
+function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -650,49 +3615,384 @@ function downloadText(filename, text) {
   URL.revokeObjectURL(url);
 }
 
+function downloadText(filename, text, type = "application/json") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+async function gzipBytes(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function gunzipBytes(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// 역양자화 후 다시 정규화(코사인 = 내적 유지)
+function dequantizeInt8(q, offset, dim, scale) {
+  const v = new Float32Array(dim);
+  let norm = 0;
+  for (let i = 0; i < dim; i++) {
+    v[i] = q[offset + i] * scale;
+    norm += v[i] * v[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < dim; i++) v[i] /= norm;
+  return v;
+}
+
+function exportChunkMeta(c) {
+  return {
+    id: c.id,
+    docId: c.docId,
+    docName: c.docName,
+    page: c.page,
+    section: c.section,
+    ...(c.ocr ? { ocr: true, ocrConfidence: c.ocrConfidence } : {}),
+    text: c.text,
+  };
+}
+
+// extra: 헤더에 같이 넣을 값(사용자 프리셋 등)
+async function encodeBundle(docs, chunks, extra = {}) {
+  // 지금 모델로 만든 벡터만 넣음(헤더의 embedModel 하나로 출처를 표시)
+  const withVec = chunks.filter(c => chunkEmbedModel(c) === state.embedModel.id);
+  const dim = withVec[0]?.embedding.length ?? 0;
+
+  const scales = new Float32Array(withVec.length);
+  const vectors = new Int8Array(withVec.length * dim);
+  let n = 0;
+  const metas = chunks.map(c => {
+    const meta = exportChunkMeta(c);
+    if (chunkEmbedModel(c) === state.embedModel.id && c.embedding.length === dim) {
+      scales[n] = quantizeInt8(c.embedding, vectors, n * dim);
+      meta.vec = n++;
+    }
+    return meta;
+  });
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    format: "kb-ai-bundle",
+    version: BUNDLE_VERSION,
+    exportedAt: nowISO(),
+    embedModel: state.embedModel.id,
+    dim,
+    quant: "int8",
+    count: n,
+    ...extra,
+    docs,
+    chunks: metas,
+  }));
+
+  const headEnd = 10 + header.length;
+  const pad = (4 - (headEnd % 4)) % 4;
+  const total = headEnd + pad + n * 4 + n * dim;
+
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  out.set(new TextEncoder().encode(BUNDLE_MAGIC), 0);
+  view.setUint16(4, BUNDLE_VERSION, true);
+  view.setUint32(6, header.length, true);
+  out.set(header, 10);
+  out.set(new Uint8Array(scales.buffer, 0, n * 4), headEnd + pad);
+  out.set(new Uint8Array(vectors.buffer, 0, n * dim), headEnd + pad + n * 4);
+
+  return gzipBytes(out);
+}
+
+function decodeBundle(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint16(4, true);
+  if (version > BUNDLE_VERSION) {
+    throw new Error(`지원하지 않는 번들 버전입니다: v${version}`);
+  }
+
+  const headerLen = view.getUint32(6, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(10, 10 + headerLen)));
+  const headEnd = 10 + headerLen;
+  const pad = (4 - (headEnd % 4)) % 4;
+  const { dim, count } = header;
+
+  // subarray 오프셋 정렬이 보장되지 않으니 복사해서 읽음
+  const scales = new Float32Array(bytes.slice(headEnd + pad, headEnd + pad + count * 4).buffer);
+  const vectors = new Int8Array(bytes.buffer, bytes.byteOffset + headEnd + pad + count * 4, count * dim);
+
+  const chunks = header.chunks.map(({ vec, ...meta }) => ({
+    ...meta,
+    embedding: Number.isInteger(vec) ? dequantizeInt8(vectors, vec * dim, dim, scales[vec]) : null,
+  }));
+
+  return { ...header, chunks };
+}
+
+// 이전 JSON 내보내기(version: 1, 임베딩 없음)를 현재 구조로 올림
+function migrateExport(data) {
+  if (!data?.docs || !data?.chunks) throw new Error("형식이 올바르지 않은 내보내기 파일입니다.");
+
+  const version = data.version ?? 1;
+  if (version > BUNDLE_VERSION) throw new Error(`지원하지 않는 버전입니다: v${version}`);
+
+  const docs = data.docs.map(d => ({ version: 1, ...d }));
+  const chunks = data.chunks.map(c => ({
+    ...c,
+    page: c.page ?? null,
+    section: c.section ?? [],
+    embedding: c.embedding ?? null,
+  }));
+
+  return { ...data, version, docs, chunks };
+}
+
+// 파일 앞부분을 보고 번들(gzip/원본)인지 JSON인지 판별
+async function readExportFile(file) {
+  let bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) bytes = await gunzipBytes(bytes);
+
+  const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+  const data = magic === BUNDLE_MAGIC
+    ? decodeBundle(bytes)
+    : JSON.parse(new TextDecoder().decode(bytes));
+
+  return migrateExport(data);
+}
+
 async function exportJSON() {
   // embeddings는 용량이 너무 커질 수 있어 제외하고 export (import 후 재임베딩)
   const payload = {
     version: 1,
     exportedAt: nowISO(),
     docs: state.docs,
-    chunks: state.chunks.map(c => ({
-      id: c.id,
-      docId: c.docId,
-      docName: c.docName,
-      page: c.page,
-      text: c.text,
-    })),
+    chunks: (await dbGetAll(STORE_CHUNKS)).map(exportChunkMeta),
+    presets: exportablePresets(),
   };
   downloadText(`kb-ai-export-${Date.now()}.json`, JSON.stringify(payload));
 }
 
+async function exportBundle() {
+  setStatus("번들 내보내기 준비 중…");
+  const bytes = await encodeBundle(state.docs, await dbGetAll(STORE_CHUNKS), { presets: exportablePresets() });
+  downloadBlob(`kb-ai-export-${Date.now()}.kbai`, new Blob([bytes], { type: "application/octet-stream" }));
+  setStatus(`번들 내보내기 완료 (${Math.round(bytes.length / 1024)}KB)`);
+}
+
+// 가져올 문서별 처리 계획: action = add | replace | version | skip
+// - 내용 해시가 같으면 건너뜀(해시 없는 예전 문서는 ID+이름+크기로 비교)
+// - 이름만 같으면 옵션에 따라 교체 또는 새 버전으로 추가
+// - ID가 기존 문서와 겹치면 새 ID로 바꿔서 넣음
+function planImport(data, { mode, onNameConflict }) {
+  if (mode === "replace") {
+    return {
+      mode,
+      items: data.docs.map(doc => ({ doc, action: "add", reason: "", newId: doc.id, version: doc.version ?? 1 })),
+      removed: [...state.docs],
+    };
+  }
+
+  const existingIds = new Set(state.docs.map(d => d.id));
+  // 같은 묶음 안의 문서끼리도 비교: 앞에서 자리를 정한 문서(이름/버전/해시)를 기억
+  const planned = [];
+  const replacedNames = new Set();
+  const items = data.docs.map(doc => {
+    const same = state.docs.find(d =>
+      (doc.hash && d.hash === doc.hash) ||
+      (!doc.hash && d.id === doc.id && d.name === doc.name && d.size === doc.size));
+    if (same) return { doc, action: "skip", reason: `이미 있음: ${docLabel(same)}` };
+    const dup = doc.hash && planned.find(p => p.hash === doc.hash);
+    if (dup) return { doc, action: "skip", reason: `묶음 안 중복: ${dup.name} (v${dup.version})` };
+
+    const newId = existingIds.has(doc.id) ? uuid() : doc.id;
+    existingIds.add(newId);
+    const idNote = newId !== doc.id ? "ID 충돌 → 새 ID" : "";
+
+    const prevs = state.docs.filter(d => d.name === doc.name);
+    const siblings = planned.filter(p => p.name === doc.name);
+    let item;
+    if (prevs.length === 0 && !siblings.some(p => p.version === (doc.version ?? 1))) {
+      item = { doc, action: "add", reason: idNote, newId, version: doc.version ?? 1 };
+    } else {
+      // 버전은 라이브러리와 이 묶음에서 이미 정한 것 중 가장 큰 값 다음. 교체는 이름마다 한 항목만
+      const version = Math.max(...prevs.map(d => d.version ?? 1), ...siblings.map(p => p.version)) + 1;
+      const prev = prevs.length ? prevs.reduce((a, b) => ((a.version ?? 1) >= (b.version ?? 1) ? a : b)) : null;
+      const replace = prev && onNameConflict === "replace" && !replacedNames.has(doc.name);
+      if (replace) replacedNames.add(doc.name);
+      const reason = [
+        prev ? `같은 이름, 다른 내용 (기존 v${prev.version ?? 1})` : `같은 이름이 묶음 안에 있음 → v${version}`,
+        idNote,
+      ].filter(Boolean).join(" · ");
+      item = replace
+        ? { doc, action: "replace", reason, newId, version, prev }
+        : { doc, action: "version", reason, newId, version };
+    }
+    planned.push({ name: doc.name, version: item.version, hash: doc.hash });
+    return item;
+  });
+
+  return { mode, items, removed: items.filter(it => it.action === "replace").map(it => it.prev) };
+}
+
+const IMPORT_ACTION_LABELS = {
+  add: "추가",
+  replace: "교체",
+  version: "새 버전으로 추가",
+  skip: "건너뜀",
+};
+
+function renderImportPreview(data, plan) {
+  const counts = { add: 0, replace: 0, version: 0, skip: 0 };
+  for (const it of plan.items) counts[it.action] += 1;
+
+  const chunkCounts = new Map();
+  for (const ch of data.chunks) chunkCounts.set(ch.docId, (chunkCounts.get(ch.docId) || 0) + 1);
+
+  const rows = plan.items.map(it => `
+    <tr>
+      <td>${escapeHtml(it.doc.name)}</td>
+      <td>${chunkCounts.get(it.doc.id) || 0}</td>
+      <td><strong>${IMPORT_ACTION_LABELS[it.action]}</strong></td>
+      <td class="muted">${escapeHtml(it.reason ?? "")}</td>
+    </tr>`).join("");
+
+  const removedRows = plan.mode !== "replace"
+    ? ""
+    : plan.removed.map(d => `
+      <tr>
+        <td>${escapeHtml(docLabel(d))}</td>
+        <td>-</td>
+        <td><strong>삭제</strong></td>
+        <td class="muted">전체 교체로 기존 문서 삭제</td>
+      </tr>`).join("");
+
+  state.els.importSummary.textContent = [
+    `추가 ${counts.add + counts.version}`,
+    `교체 ${counts.replace}`,
+    `건너뜀 ${counts.skip}`,
+    plan.mode === "replace" ? `기존 문서 삭제 ${plan.removed.length}` : "",
+  ].filter(Boolean).join(" · ");
+
+  state.els.importPreview.innerHTML = `
+    <table class="sheetlike docs-table">
+      <thead><tr><th>문서</th><th>청크</th><th>처리</th><th>사유</th></tr></thead>
+      <tbody>${rows}${removedRows}</tbody>
+    </table>
+  `;
+}
+
+// 미리보기 대화상자를 띄우고, 사용자가 고른 옵션(취소 시 null)을 돌려줌
+function askImportOptions(file, data) {
+  const dlg = state.els.importDialog;
+  const withVec = data.chunks.filter(c => c.embedding).length;
+
+  state.els.importInfo.textContent =
+    `${file.name} · 문서 ${data.docs.length}개 · 청크 ${data.chunks.length}개 · ` +
+    (withVec ? `임베딩 포함(${data.embedModel ?? "모델 정보 없음"})` : "임베딩 없음(가져온 뒤 재인덱싱 필요)") +
+    (data.presets?.length ? ` · 프롬프트 프리셋 ${data.presets.length}개` : "");
+
+  const readOptions = () => ({
+    mode: dlg.querySelector("input[name=importMode]:checked").value,
+    onNameConflict: dlg.querySelector("input[name=importConflict]:checked").value,
+  });
+  const refresh = () => {
+    const opts = readOptions();
+    dlg.querySelectorAll("input[name=importConflict]").forEach(el => { el.disabled = opts.mode === "replace"; });
+    renderImportPreview(data, planImport(data, opts));
+  };
+
+  return new Promise((resolve) => {
+    dlg.addEventListener("change", refresh);
+    dlg.addEventListener("close", () => {
+      dlg.removeEventListener("change", refresh);
+      resolve(dlg.returnValue === "ok" ? readOptions() : null);
+    }, { once: true });
+
+    refresh();
+    // Esc로 닫으면 returnValue가 그대로 남으므로 이전 "ok"를 지우고 엶
+    dlg.returnValue = "";
+    dlg.showModal();
+  });
+}
+
 async function importJSON(file) {
-  const text = await file.text();
-  const data = JSON.parse(text);
+  const data = await readExportFile(file);
 
-  if (!data?.docs || !data?.chunks) {
-    alert("형식이 올바르지 않은 JSON입니다.");
-    return;
+  const opts = await askImportOptions(file, data);
+  if (!opts) return;
+
+  // 벡터는 만든 모델을 같이 기록 → 지금 모델과 다르면 검색에 안 섞이고 백그라운드 재임베딩 대상
+  const vecModel = data.embedModel ?? EMBED_MODEL_ID;
+  const sameModel = vecModel === state.embedModel.id;
+  const plan = planImport(data, opts);
+
+  if (opts.mode === "replace") {
+    await dbClearAll();
+    state.docs = [];
+    resetChunks();
+    state.lex = new Map();
+    state.summaries = new Map();
   }
 
-  await dbClearAll();
-  state.docs = [];
-  state.chunks = [];
-  state.els.chat.innerHTML = "";
+  const chunksByDoc = new Map();
+  for (const ch of data.chunks) {
+    if (!chunksByDoc.has(ch.docId)) chunksByDoc.set(ch.docId, []);
+    chunksByDoc.get(ch.docId).push(ch);
+  }
+
+  const addedDocs = [];
+  const addedChunks = [];
+  const names = new Set();
+  for (const it of plan.items) {
+    if (it.action === "skip") continue;
+
+    const oldId = it.doc.id;
+    const doc = {
+      ...it.doc,
+      id: it.newId,
+      version: it.version,
+    };
+    const chunks = (chunksByDoc.get(oldId) ?? []).map(ch => ({
+      ...ch,
+      id: ch.id.startsWith(oldId) ? doc.id + ch.id.slice(oldId.length) : `${doc.id}|${ch.id}`,
+      docId: doc.id,
+      docName: doc.name,
+      embedding: ch.embedding ?? null,
+      embedModel: ch.embedding ? vecModel : null,
+      embedDim: ch.embedding?.length ?? null,
+    }));
+
+    addedDocs.push(doc);
+    addedChunks.push(...chunks);
+    names.add(doc.name);
+  }
 
-  state.docs.push(...data.docs);
-  // embedding은 null로 들어오므로 재임베딩
-  const rawChunks = data.chunks.map(x => ({ ...x, embedding: null }));
-  state.chunks.push(...rawChunks);
+  state.docs.push(...addedDocs);
+  addChunks(addedChunks);
 
-  await dbPutMany(STORE_DOCS, state.docs);
-  await dbPutMany(STORE_CHUNKS, rawChunks);
+  await dbPutMany(STORE_DOCS, addedDocs);
+  await dbPutMany(STORE_CHUNKS, addedChunks);
+
+  // 교체 대상은 새 문서 저장이 끝난 뒤 삭제
+  for (const it of plan.items) {
+    if (it.action === "replace") await removeDoc(it.prev.id);
+  }
+  for (const name of names) await relabelDocs(name);
+  await ensureLexIndexes();   // 키워드 색인은 임베딩 없이 바로 생성
 
   renderDocs();
   refreshStats();
 
-  alert("가져오기 완료. '전체 재인덱싱'을 눌러 임베딩을 다시 생성하세요.");
+  const presetCount = importPresets(data.presets);
+
+  const missing = addedChunks.filter(c => !c.embedding).length;
+  const requeued = sameModel ? 0 : await queueMismatchedDocs();
+  const done = `가져오기 완료 (문서 ${addedDocs.length}개 추가, ${plan.items.length - addedDocs.length}개 건너뜀` +
+    `${presetCount ? `, 프리셋 ${presetCount}개` : ""}).`;
+  if (requeued) {
+    alert(`${done}\n임베딩 모델이 달라(${vecModel}) 지금 모델(${state.embedModel.id})로 백그라운드에서 다시 임베딩합니다.`);
+  } else if (missing === 0) {
+    alert(`${done}\n임베딩이 포함되어 있어 바로 질문할 수 있습니다.`);
+  } else {
+    alert(`${done}\n'전체 재인덱싱'을 눌러 임베딩을 다시 생성하세요.`);
+  }
 }
 
 async function rebuildAllEmbeddings() {
@@ -701,47 +4001,54 @@ async function rebuildAllEmbeddings() {
     return;
   }
 
-  await ensureEmbedder();
-
-  setStatus("전체 재인덱싱(임베딩 재생성) 중…");
-  setProgress(0.05);
-
-  // 배치 임베딩
-  const BATCH = 8;
-  for (let i = 0; i < state.chunks.length; i += BATCH) {
-    const batch = state.chunks.slice(i, i + BATCH);
-    const vecs = await embedTexts(batch.map(x => x.text));
-    for (let j = 0; j < batch.length; j++) {
-      batch[j].embedding = vecs[j];
-    }
-    setProgress(0.05 + 0.95 * ((i + batch.length) / state.chunks.length));
+  for (const doc of [...state.docs]) {
+    if (state.jobs.some(j => j.docId === doc.id && isJobOpen(j))) continue;
+    await reembedDoc(doc.id);
   }
-
-  // DB에 다시 저장(기존 레코드 덮어쓰기)
-  await dbPutMany(STORE_CHUNKS, state.chunks);
-
-  setProgress(0);
-  setStatus("전체 재인덱싱 완료");
-  refreshStats();
+  setStatus("전체 재인덱싱 작업을 큐에 넣었습니다");
 }
 
 // ---------- 초기화 ----------
+// 청크는 페이지 단위로 읽어서 메타/벡터만 남기고 본문은 버림(필요할 때 DB에서 다시 읽음)
 async function loadFromDB() {
   setStatus("로컬 DB 로딩 중…");
   const docs = await dbGetAll(STORE_DOCS);
-  const chunks = await dbGetAll(STORE_CHUNKS);
+  const lex = await dbGetAll(STORE_LEX);
+  const summaries = await dbGetAll(STORE_SUMMARIES);
 
   state.docs = docs || [];
-  state.chunks = chunks || [];
+  state.lex = new Map((lex || []).map(lx => [lx.docId, lx]));
+  state.summaries = new Map((summaries || []).map(sm => [sm.docId, sm]));
+  resetChunks();
+
+  const total = await dbCount(STORE_CHUNKS);
+  await dbForEachPage(STORE_CHUNKS, DB_PAGE_SIZE, (page) => {
+    addChunks(page);
+    setStatus(`로컬 DB 로딩 중… (청크 ${state.chunks.length}/${total})`);
+    setProgress(state.chunks.length / Math.max(1, total));
+  });
+  setProgress(0);
+
+  await ensureLexIndexes();
+  loadDocSelection();
 
   setStatus("대기");
   renderDocs();
   refreshStats();
+  resumeUnfinishedDocs();
+  await queueMismatchedDocs();
 }
 
 function setGPUInfo() {
-  const supported = !!navigator.gpu;
-  state.els.gpuInfo.textContent = supported ? "GPU: WebGPU 지원" : "GPU: WebGPU 미지원";
+  const gpu = state.gpu;
+  if (!navigator.gpu) {
+    state.els.gpuInfo.textContent = "GPU: WebGPU 미지원";
+  } else if (!gpu) {
+    state.els.gpuInfo.textContent = "GPU: WebGPU 어댑터 없음";
+  } else {
+    state.els.gpuInfo.textContent = `GPU: WebGPU 지원 (f16 ${gpu.f16 ? "O" : "X"}, ` +
+      `버퍼 한도 ${mbText(gpu.maxBufferSize)}, 바인딩 한도 ${mbText(gpu.maxStorageBufferBindingSize)})`;
+  }
 }
 
 function wireEvents() {
@@ -752,20 +4059,26 @@ function wireEvents() {
       return;
     }
 
-    // 순차 처리(브라우저 과부하 방지)
-    for (const f of files) {
-      try {
-        await indexFile(f);
-      } catch (e) {
-        console.error(e);
-        alert(`인덱싱 실패: ${f.name}\n${String(e)}`);
-      }
+    // 작업 큐에 넣고 워커에서 순차 처리(화면은 멈추지 않음)
+    try {
+      await enqueueFiles([...files]);
+    } catch (e) {
+      console.error(e);
+      alert(`인덱싱 준비 실패\n${String(e)}`);
     }
 
     state.els.fileInput.value = "";
     refreshStats();
   });
 
+  state.els.btnPauseQueue.addEventListener("click", () => pauseQueue());
+  state.els.btnResumeQueue.addEventListener("click", () => resumeQueue());
+
+  state.els.jobsList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-job-cancel]");
+    if (btn) cancelJob(btn.dataset.jobCancel);
+  });
+
   state.els.btnLoadEmbed.addEventListener("click", async () => {
     try {
       await ensureEmbedder();
@@ -777,28 +4090,67 @@ function wireEvents() {
   });
 
   state.els.btnLoadModel.addEventListener("click", async () => {
-    const modelId = state.els.modelSelect.value;
     try {
-      await loadLLM(modelId);
+      if (selectedBackend() === "server") {
+        await connectLLMServer(state.els.apiBaseUrl.value, state.els.apiModel.value.trim());
+      } else {
+        await loadLLM(state.els.modelSelect.value);
+      }
     } catch (e) {
       console.error(e);
-      alert(`LLM 로드 실패\n${String(e)}`);
+      setProgress(0);
+      alert(`LLM 준비 실패\n${String(e?.message ?? e)}`);
+    }
+  });
+
+  state.els.modelSelect.addEventListener("change", () => renderModelHint());
+  state.els.modelFitOnly.addEventListener("change", () => {
+    saveLLMSettings();
+    fillModelSelect();
+  });
+  state.els.autoLoadModel.addEventListener("change", () => saveLLMSettings());
+
+  for (const radio of document.querySelectorAll("input[name=llmBackend]")) {
+    radio.addEventListener("change", () => {
+      showBackendPanel(selectedBackend());
+      saveLLMSettings();
+    });
+  }
+
+  // 서버 연결 중에 모델만 바꾸면 다시 연결하지 않고 바로 반영
+  state.els.apiModel.addEventListener("change", () => {
+    const model = state.els.apiModel.value.trim();
+    if (state.llm?.backend === "server") {
+      state.engine = createServerEngine(state.llm.baseUrl, model);
+      state.llm.model = model;
+      state.els.modelStatus.textContent = `모델: 서버 연결됨${model ? ` (${model})` : ""}`;
     }
+    saveLLMSettings();
   });
+  state.els.apiBaseUrl.addEventListener("change", () => saveLLMSettings());
 
   state.els.btnAsk.addEventListener("click", async () => {
     const q = state.els.question.value.trim();
     const strict = state.els.strictMode.checked;
     const showContext = state.els.showContext.checked;
+    const extractive = state.els.extractiveMode.checked;
+    const rerank = state.els.rerankMode.checked;
+    const preset = currentPreset();
 
-    try {
-      await ask(q, strict, showContext);
-    } catch (e) {
-      console.error(e);
-      alert(`질문 처리 실패\n${String(e)}`);
-    }
+    await withGeneration(async () => {
+      try {
+        await ask(q, { strict, showContext, extractive, preset, rerank, editTurn: state.editing });
+      } catch (e) {
+        console.error(e);
+        setProgress(0);
+        alert(`질문 처리 실패\n${String(e)}`);
+      }
+    });
   });
 
+  state.els.btnStop.addEventListener("click", () => stopGeneration());
+  state.els.btnCancelEdit.addEventListener("click", () => cancelEditTurn());
+
   state.els.question.addEventListener("keydown", async (e) => {
     if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
@@ -807,22 +4159,162 @@ function wireEvents() {
   });
 
   state.els.btnClear.addEventListener("click", async () => {
-    const ok = confirm("정말로 모든 근거자료/인덱스를 삭제할까요? (브라우저 로컬 저장소에서 삭제)");
+    const ok = confirm("정말로 모든 근거자료/인덱스를 삭제할까요? (브라우저 로컬 저장소에서 삭제, 대화 기록은 유지)");
     if (!ok) return;
 
+    // 진행 중인 인덱싱 작업부터 멈춤. 워커의 "cancelled"를 기다리지 않고 바로 닫아서
+    // 이미 오고 있는 "chunks"/"embedded" 메시지는 onWorkerMessage에서 버려지게 함
+    for (const job of state.jobs) {
+      cancelJob(job.id);
+      if (isJobOpen(job)) {
+        job.status = "cancelled";
+        job.message = `취소됨: ${job.name}`;
+      }
+    }
+    state.activeJob = null;
+    renderJobs();
+    // 처리 중이던 메시지(DB 쓰기)가 끝난 뒤에 비움
+    await state.workerChain;
+
     await dbClearAll();
     state.docs = [];
-    state.chunks = [];
-    state.els.chat.innerHTML = "";
+    resetChunks();
+    state.lex = new Map();
+    state.summaries = new Map();
+    state.unselected = new Set();
+    saveDocSelection();
     renderDocs();
     refreshStats();
     setStatus("전체 삭제 완료");
   });
 
+  state.els.docsList.addEventListener("change", (e) => {
+    const t = e.target;
+    if (t.matches("[data-doc-select-all]")) {
+      for (const d of state.docs) setDocSelected(d.id, t.checked);
+    } else if (t.matches("[data-doc-select]")) {
+      setDocSelected(t.dataset.docSelect, t.checked);
+    } else {
+      return;
+    }
+    renderDocs();
+    refreshStats();
+  });
+
+  state.els.docsList.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-doc-action]");
+    if (!btn) return;
+
+    const { docAction, docId } = btn.dataset;
+    try {
+      if (docAction === "delete") await deleteDoc(docId);
+      if (docAction === "reembed") await reembedDoc(docId);
+      if (docAction === "summarize") await withGeneration(() => summarizeDoc(docId));
+    } catch (err) {
+      console.error(err);
+      alert(`문서 작업 실패\n${String(err)}`);
+    }
+  });
+
+  // 답변/근거 목록의 [C#] → 원문 보기, 답변별 내보내기
+  state.els.chat.addEventListener("click", async (e) => {
+    const actionBtn = e.target.closest("[data-turn-action]");
+    const msgEl = actionBtn?.closest(".msg");
+    if (msgEl?.turn) {
+      if (state.generating) return;
+      if (actionBtn.dataset.turnAction === "edit") {
+        startEditTurn(msgEl.turn);
+        return;
+      }
+      await withGeneration(async () => {
+        try {
+          await regenerateTurn(msgEl);
+        } catch (err) {
+          console.error(err);
+          setProgress(0);
+          alert(`다시 생성 실패\n${String(err)}`);
+        }
+      });
+      return;
+    }
+
+    const exportBtn = e.target.closest("[data-export-turn]");
+    const turn = exportBtn?.closest(".msg")?.turn;
+    if (turn && state.session) {
+      exportReport(exportBtn.dataset.exportTurn, state.session, [turn]);
+      return;
+    }
+
+    const btn = e.target.closest("[data-cite]");
+    if (!btn) return;
+    const ctx = btn.closest(".msg")?.contexts?.[Number(btn.dataset.cite) - 1];
+    if (!ctx) return;
+
+    try {
+      await openSource(ctx);
+    } catch (err) {
+      console.error(err);
+      alert(`원문 열기 실패\n${String(err)}`);
+    }
+  });
+
+  state.els.svPrev.addEventListener("click", () => moveSourcePage(-1));
+  state.els.svNext.addEventListener("click", () => moveSourcePage(1));
+  state.els.svClose.addEventListener("click", () => closeSource());
+
+  state.els.sessionSelect.addEventListener("change", () => {
+    switchSession(state.els.sessionSelect.value);
+  });
+
+  state.els.btnNewSession.addEventListener("click", () => {
+    startNewSession();
+  });
+
+  state.els.presetSelect.addEventListener("change", () => {
+    localStorage.setItem(LS_PRESET_SELECTED, state.els.presetSelect.value);
+  });
+  state.els.btnPresets.addEventListener("click", () => openPresetDialog());
+  state.els.presetEditSelect.addEventListener("change", () => fillPresetForm(findPreset(state.els.presetEditSelect.value)));
+  state.els.btnPresetNew.addEventListener("click", () => addPreset(null));
+  state.els.btnPresetCopy.addEventListener("click", () => addPreset(findPreset(state.els.presetEditSelect.value)));
+  state.els.btnPresetSave.addEventListener("click", () => savePresetForm());
+  state.els.btnPresetDelete.addEventListener("click", () => deletePresetForm());
+
+  state.els.btnExportSession.addEventListener("click", () => {
+    if (!state.session) {
+      alert("내보낼 대화가 없습니다. 먼저 질문하거나 저장된 대화를 선택해 주세요.");
+      return;
+    }
+    try {
+      exportReport(state.els.sessionExportFormat.value, state.session);
+    } catch (e) {
+      console.error(e);
+      alert(`대화 내보내기 실패\n${String(e)}`);
+    }
+  });
+
+  state.els.btnDeleteSession.addEventListener("click", async () => {
+    try {
+      await deleteCurrentSession();
+    } catch (e) {
+      console.error(e);
+      alert(`대화 삭제 실패\n${String(e)}`);
+    }
+  });
+
   state.els.btnExport.addEventListener("click", async () => {
     await exportJSON();
   });
 
+  state.els.btnExportBundle.addEventListener("click", async () => {
+    try {
+      await exportBundle();
+    } catch (e) {
+      console.error(e);
+      alert(`내보내기 실패\n${String(e)}`);
+    }
+  });
+
   state.els.btnImport.addEventListener("click", () => {
     state.els.importInput.click();
   });
@@ -840,6 +4332,27 @@ function wireEvents() {
     }
   });
 
+  state.els.vecInt8.checked = vecQuantSetting() === "int8";
+  state.els.vecInt8.addEventListener("change", async () => {
+    // 저장 방식이 바뀌면 DB에서 벡터를 다시 읽어 행렬을 새로 만듦
+    localStorage.setItem(LS_VEC_INT8, state.els.vecInt8.checked ? "1" : "0");
+    try {
+      await loadFromDB();
+    } catch (e) {
+      console.error(e);
+      alert(`벡터 저장소 재구성 실패\n${String(e)}`);
+    }
+  });
+
+  state.els.embedModelSelect.addEventListener("change", async () => {
+    try {
+      await changeEmbedModel(state.els.embedModelSelect.value);
+    } catch (e) {
+      console.error(e);
+      alert(`임베딩 모델 변경 실패\n${String(e)}`);
+    }
+  });
+
   state.els.btnRebuild.addEventListener("click", async () => {
     try {
       await rebuildAllEmbeddings();
@@ -857,26 +4370,81 @@ async function init() {
     btnAdd: $("btnAdd"),
     btnClear: $("btnClear"),
     btnExport: $("btnExport"),
+    btnExportBundle: $("btnExportBundle"),
     btnImport: $("btnImport"),
     importInput: $("importInput"),
+    importDialog: $("importDialog"),
+    importInfo: $("importInfo"),
+    importSummary: $("importSummary"),
+    importPreview: $("importPreview"),
     status: $("status"),
     progress: $("progress"),
     docsList: $("docsList"),
+    jobsList: $("jobsList"),
+    btnPauseQueue: $("btnPauseQueue"),
+    btnResumeQueue: $("btnResumeQueue"),
 
     modelSelect: $("modelSelect"),
+    modelFitOnly: $("modelFitOnly"),
+    modelHint: $("modelHint"),
+    autoLoadModel: $("autoLoadModel"),
+    webllmPanel: $("webllmPanel"),
+    serverPanel: $("serverPanel"),
+    apiBaseUrl: $("apiBaseUrl"),
+    apiModel: $("apiModel"),
+    apiContextWindow: $("apiContextWindow"),
+    apiModelList: $("apiModelList"),
     btnLoadModel: $("btnLoadModel"),
     modelStatus: $("modelStatus"),
     gpuInfo: $("gpuInfo"),
 
     btnLoadEmbed: $("btnLoadEmbed"),
     btnRebuild: $("btnRebuild"),
+    vecInt8: $("vecInt8"),
+    embedModelSelect: $("embedModelSelect"),
     embedStatus: $("embedStatus"),
 
     chat: $("chat"),
+    sessionSelect: $("sessionSelect"),
+    btnNewSession: $("btnNewSession"),
+    btnDeleteSession: $("btnDeleteSession"),
+    sessionExportFormat: $("sessionExportFormat"),
+    btnExportSession: $("btnExportSession"),
     question: $("question"),
     btnAsk: $("btnAsk"),
     strictMode: $("strictMode"),
     showContext: $("showContext"),
+    extractiveMode: $("extractiveMode"),
+    rerankMode: $("rerankMode"),
+    btnStop: $("btnStop"),
+    editNotice: $("editNotice"),
+    btnCancelEdit: $("btnCancelEdit"),
+    presetSelect: $("presetSelect"),
+    btnPresets: $("btnPresets"),
+    presetDialog: $("presetDialog"),
+    presetEditSelect: $("presetEditSelect"),
+    presetInfo: $("presetInfo"),
+    presetName: $("presetName"),
+    presetSystem: $("presetSystem"),
+    presetFormat: $("presetFormat"),
+    presetTemperature: $("presetTemperature"),
+    presetTopK: $("presetTopK"),
+    btnPresetNew: $("btnPresetNew"),
+    btnPresetCopy: $("btnPresetCopy"),
+    btnPresetSave: $("btnPresetSave"),
+    btnPresetDelete: $("btnPresetDelete"),
+
+    sourceViewer: $("sourceViewer"),
+    svTitle: $("svTitle"),
+    svLocator: $("svLocator"),
+    svNav: $("svNav"),
+    svPrev: $("svPrev"),
+    svNext: $("svNext"),
+    svPageInfo: $("svPageInfo"),
+    svClose: $("svClose"),
+    svBody: $("svBody"),
+    svPage: $("svPage"),
+    svText: $("svText"),
 
     statDocs: $("statDocs"),
     statChunks: $("statChunks"),
@@ -884,26 +4452,17 @@ async function init() {
     statLLM: $("statLLM"),
   };
 
+  loadLLMSettings();
+  loadEmbedModelSetting();
+  loadPresets();
+  renderPresetSelect();
+  state.gpu = await detectGPU();
   fillModelSelect();
   setGPUInfo();
   wireEvents();
   await loadFromDB();
-
-  // 안내 메시지
-  addMessage(
-    "assistant",
-    [
-      "이 페이지는 ‘업로드한 근거자료’에서만 답을 만들도록 설계된 로컬 Q&A입니다.",
-      "",
-      "사용 순서:",
-      "1) PDF/TXT 업로드 → 추가/인덱싱",
-      "2) (선택) 임베딩 로드",
-      "3) WebLLM 모델 로드",
-      "4) 질문",
-      "",
-      "팁: 질문 입력 후 Ctrl+Enter로 바로 전송할 수 있어요.",
-    ].join("\n")
-  );
+  await loadSessions();
+  await autoLoadLLM();
 }
 
 init();
@@ -0,0 +1,125 @@
+/* ingest-worker.js
+ * - 근거자료 인덱싱(텍스트 추출 → 청크 → 임베딩)을 메인 스레드 밖에서 처리
+ * - 작업은 한 번에 하나씩(큐는 메인 스레드가 관리)
+ *   - ingest: 파일 → 청크("chunks"로 먼저 보냄) → 임베딩("embedded" 배치 단위)
+ *   - embed : 이미 저장된 청크 중 임베딩 없는 것만 처리(재인덱싱/이어하기)
+ * - pause/resume/cancel은 페이지·배치 사이에서 반영(스캔 페이지는 OCR 전에도 확인)
+ */
+
+import { extractChunks, loadEmbedder, embedWith } from "./ingest.js";
+
+const EMBED_BATCH = 8;
+
+const worker = {
+  embedder: null,         // { pipe, modelId, ... }
+  paused: false,
+  wake: null,             // 일시정지 해제 대기 resolve
+  cancelled: new Set(),   // 취소 요청된 jobId
+};
+
+class JobCancelled extends Error {}
+
+function post(msg) {
+  self.postMessage(msg);
+}
+
+// 일시정지면 풀릴 때까지 대기, 취소됐으면 예외로 빠져나감
+async function checkpoint(jobId) {
+  while (worker.paused && !worker.cancelled.has(jobId)) {
+    await new Promise((resolve) => { worker.wake = resolve; });
+  }
+  if (worker.cancelled.has(jobId)) throw new JobCancelled();
+}
+
+function wakeUp() {
+  worker.wake?.();
+  worker.wake = null;
+}
+
+async function ensureEmbedder(modelId) {
+  if (worker.embedder?.modelId === modelId) return worker.embedder.pipe;
+  worker.embedder = await loadEmbedder(modelId);
+  return worker.embedder.pipe;
+}
+
+// items: [{ id, text }] → 배치마다 "embedded" 전송(메인에서 바로 DB 저장 = 체크포인트)
+// model: EMBED_MODELS 항목(문단 접두어 포함). 결과에 모델 ID를 같이 보내 출처로 기록
+async function embedItems(jobId, name, items, model, from, to) {
+  const pipe = await ensureEmbedder(model.id);
+
+  for (let i = 0; i < items.length; i += EMBED_BATCH) {
+    await checkpoint(jobId);
+
+    const batch = items.slice(i, i + EMBED_BATCH);
+    const vectors = await embedWith(pipe, batch.map(x => x.text), model.passagePrefix);
+    post({ type: "embedded", jobId, ids: batch.map(x => x.id), vectors, modelId: model.id });
+
+    const done = i + batch.length;
+    post({
+      type: "progress",
+      jobId,
+      ratio: from + (to - from) * (done / Math.max(1, items.length)),
+      message: `임베딩 생성 중: ${name} (${done}/${items.length})`,
+    });
+  }
+}
+
+async function runIngest({ jobId, docId, docName, file, model }) {
+  post({ type: "progress", jobId, ratio: 0.02, message: `읽는 중: ${file.name}` });
+
+  const buf = await file.arrayBuffer();
+  const { chunks, ocr } = await extractChunks(
+    { buf, name: file.name, type: file.type, docId, docName },
+    async (ratio, message) => {
+      await checkpoint(jobId);
+      post({ type: "progress", jobId, ratio: 0.05 + 0.35 * ratio, message });
+    }
+  );
+
+  await checkpoint(jobId);
+  post({ type: "chunks", jobId, chunks, ocr });
+
+  await embedItems(jobId, file.name, chunks.map(ch => ({ id: ch.id, text: ch.text })), model, 0.45, 0.98);
+}
+
+async function runEmbed({ jobId, name, items, model }) {
+  await embedItems(jobId, name, items, model, 0.02, 0.98);
+}
+
+async function runJob(msg) {
+  try {
+    if (msg.type === "ingest") await runIngest(msg);
+    else await runEmbed(msg);
+    post({ type: "done", jobId: msg.jobId });
+  } catch (e) {
+    if (e instanceof JobCancelled) {
+      post({ type: "cancelled", jobId: msg.jobId });
+    } else {
+      console.error(e);
+      post({ type: "error", jobId: msg.jobId, error: String(e?.message ?? e) });
+    }
+  } finally {
+    worker.cancelled.delete(msg.jobId);
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case "ingest":
+    case "embed":
+      runJob(msg);
+      break;
+    case "pause":
+      worker.paused = true;
+      break;
+    case "resume":
+      worker.paused = false;
+      wakeUp();
+      break;
+    case "cancel":
+      worker.cancelled.add(msg.jobId);
+      wakeUp();
+      break;
+  }
+};
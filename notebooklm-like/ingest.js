@@ -0,0 +1,1036 @@
+/* ingest.js
+ * - 근거자료 인덱싱 공통 모듈(메인 스레드 + 인덱싱 워커에서 같이 사용)
+ * - 파일 → 텍스트 추출(PDF.js/형식별 파서, HWPX·DOCX는 압축 해제 후 XML 파싱, XLSX는 SheetJS) → 청크 → 임베딩
+ * - 글자가 없는 PDF 페이지(스캔본)는 Tesseract.js로 OCR
+ * - DOM을 쓰지 않음(워커에서도 그대로 동작해야 함)
+ */
+
+import * as pdfjsLib from "https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624/build/pdf.mjs";
+
+// PDF.js worker 설정
+pdfjsLib.GlobalWorkerOptions.workerSrc =
+  "https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624/build/pdf.worker.mjs";
+
+// Transformers.js는 필요할 때만 로드(초기 로딩 가볍게)
+const TRANSFORMERS_URL = "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1";
+
+// HWPX/DOCX(zip) 압축 해제용. 해당 파일이 올라올 때만 로드
+const FFLATE_URL = "https://cdn.jsdelivr.net/npm/fflate@0.8.2/esm/browser.js";
+
+// XLSX/XLS 파싱용(SheetJS). 날짜/숫자 서식을 화면에 보이는 문자열 그대로 받기 위해 사용
+const SHEETJS_URL = "https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs";
+
+// 스캔 PDF OCR(Tesseract.js). 언어 데이터는 처음 한 번 내려받아 브라우저에 캐시됨
+const TESSERACT_URL = "https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.esm.min.js";
+const OCR_LANGS = "kor+eng";
+const OCR_MIN_TEXT_CHARS = 20;   // 공백 뺀 글자 수가 이보다 적으면 텍스트 레이어 없음으로 봄
+const OCR_RENDER_SCALE = 2.5;    // 72dpi 기준 → 약 180dpi로 렌더링해서 인식
+
+// 임베딩 모델(다국어). 예전 데이터(모델 기록 없음)는 기본 모델로 만든 벡터로 봄
+export const EMBED_MODEL_ID = "Xenova/paraphrase-multilingual-MiniLM-L12-v2";
+
+// 고를 수 있는 임베딩 모델. e5 계열은 질문/문단 앞에 접두어를 붙여야 성능이 나옴
+export const EMBED_MODELS = [
+  { id: EMBED_MODEL_ID, label: "다국어 MiniLM (기본, 384차원, 가벼움)", dim: 384, queryPrefix: "", passagePrefix: "" },
+  { id: "Xenova/multilingual-e5-small", label: "multilingual-e5-small (384차원, 한국어 검색 향상)", dim: 384, queryPrefix: "query: ", passagePrefix: "passage: " },
+  { id: "Xenova/multilingual-e5-base", label: "multilingual-e5-base (768차원, 한국어 정확도 높음, 느림)", dim: 768, queryPrefix: "query: ", passagePrefix: "passage: " },
+];
+
+export function findEmbedModel(id) {
+  return EMBED_MODELS.find(m => m.id === id) ?? EMBED_MODELS[0];
+}
+
+// 재순위용 크로스인코더(다국어, 질문-청크 쌍을 같이 읽고 관련도 점수 1개 출력)
+export const RERANK_MODEL_ID = "Xenova/mmarco-mMiniLMv2-L12-H384-v1";
+const RERANK_MAX_TOKENS = 512;
+const RERANK_BATCH = 8;
+
+// 청크(문단) 분할 설정
+export const CHUNK_CHARS = 1200;
+export const CHUNK_OVERLAP = 200;
+
+// ---------- 유틸 ----------
+export async function sha256Hex(buf) {
+  const digest = await crypto.subtle.digest("SHA-256", buf);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function normalizeText(t) {
+  return (t ?? "")
+    .replace(/\u0000/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// minChars: 페이지 조각 같은 잡음 제거용 하한. 섹션 단위로 자를 때는 짧은 조항도 남겨야 해서 1로 부름
+export function chunkText(text, chunkSize = CHUNK_CHARS, overlap = CHUNK_OVERLAP, minChars = 30) {
+  const t = normalizeText(text);
+  if (!t) return [];
+
+  const out = [];
+  let start = 0;
+  while (start < t.length) {
+    const end = Math.min(t.length, start + chunkSize);
+    const piece = t.slice(start, end).trim();
+    if (piece.length >= minChars) out.push(piece);
+
+    if (end >= t.length) break;
+    start = Math.max(0, end - overlap);
+  }
+  return out;
+}
+
+// ---------- 형식별 파서(MD/HTML/CSV) ----------
+// 결과는 공통으로 sections: [{ section: ["장", "절"], text }]
+
+export function fileExt(name) {
+  const m = /\.([^.]+)$/.exec(name ?? "");
+  return m ? m[1].toLowerCase() : "";
+}
+
+export function parseMarkdownSections(md) {
+  const lines = (md ?? "").replace(/\r\n/g, "\n").split("\n");
+  const sections = [];
+  const path = [];           // 현재 제목 경로 (레벨별)
+  let buf = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = buf.join("\n").trim();
+    if (text) sections.push({ section: path.filter(Boolean), text });
+    buf = [];
+  };
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const m = inFence ? null : /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (m) {
+      flush();
+      const level = m[1].length;
+      path.length = level;       // 하위 레벨 제목은 잘라냄
+      path[level - 1] = m[2].trim();
+    }
+    buf.push(line);
+  }
+  flush();
+
+  return sections;
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", middot: "·" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X"
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? all;
+  });
+}
+
+function stripTags(s) {
+  return decodeEntities(s.replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+// HTML → Markdown 비슷한 텍스트(제목은 #, 표는 | 구분) → parseMarkdownSections 재사용
+function htmlToMarkdown(html) {
+  let s = (html ?? "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, "");
+
+  s = s.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+    (_, lv, inner) => `\n\n${"#".repeat(Number(lv))} ${stripTags(inner)}\n\n`);
+
+  s = s
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/t[dh]>/gi, " | ")
+    .replace(/<\/tr>|<(br|hr)\b[^>]*>/gi, "\n")
+    .replace(/<\/?(p|div|section|article|header|footer|main|nav|aside|ul|ol|table|thead|tbody|blockquote|pre|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, "\n");
+
+  s = decodeEntities(s.replace(/<[^>]*>/g, ""));
+
+  return s
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").replace(/\s*\|\s*$/, "").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+export function parseHtmlSections(html) {
+  return parseMarkdownSections(htmlToMarkdown(html));
+}
+
+// RFC 4180 정도의 CSV 파서(따옴표/줄바꿈 포함 셀 처리)
+function parseCSVRows(text) {
+  const s = (text ?? "").replace(/^\uFEFF/, "");
+  const delim = (s.split("\n", 1)[0].split("\t").length > s.split("\n", 1)[0].split(",").length) ? "\t" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === "\"") {
+        if (s[i + 1] === "\"") { cell += "\""; i++; }
+        else quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === "\"" && cell === "") {
+      quoted = true;
+    } else if (ch === delim) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+
+  return rows;
+}
+
+function csvRowLine(cells) {
+  return cells.map(c => c.replace(/\s+/g, " ").trim()).join(" | ");
+}
+
+// 헤더 + 행 묶음 단위 청크. 행 번호는 원본 파일 기준(rows[0] = firstRow행, CSV는 1행)
+// headerIndex 앞의 행(시트 제목 등)은 따로 한 묶음으로 둠
+function csvRowGroups(rows, { headerIndex = 0, firstRow = 1, sectionPrefix = [], chunkSize = CHUNK_CHARS } = {}) {
+  if (rows.length <= headerIndex) return [];
+
+  const isBlank = (row) => !row.some(c => c.trim() !== "");
+  const groups = [];
+
+  const pre = [];
+  let preLast = 0;
+  rows.slice(0, headerIndex).forEach((row, r) => {
+    if (isBlank(row)) return;
+    pre.push(csvRowLine(row.filter(c => c.trim() !== "")));
+    preLast = r;
+  });
+  if (pre.length) {
+    groups.push({
+      section: [...sectionPrefix, `행 ${firstRow}–${firstRow + preLast}`],
+      text: pre.join("\n"),
+    });
+  }
+
+  const header = csvRowLine(rows[headerIndex]);
+  let lines = [];
+  let from = 0;
+  let to = 0;
+  let size = header.length;
+
+  const flush = () => {
+    if (lines.length === 0) return;
+    groups.push({
+      section: [...sectionPrefix, `행 ${from}–${to}`],
+      text: [header, ...lines].join("\n"),
+    });
+    lines = [];
+    size = header.length;
+  };
+
+  for (let r = headerIndex + 1; r < rows.length; r++) {
+    if (isBlank(rows[r])) continue;   // 빈 행은 건너뜀(행 번호는 유지)
+    const line = csvRowLine(rows[r]);
+    if (lines.length && size + line.length + 1 > chunkSize) flush();
+    if (lines.length === 0) from = firstRow + r;
+    lines.push(line);
+    size += line.length + 1;
+    to = firstRow + r;
+  }
+  flush();
+
+  return groups;
+}
+
+export function parseCSVSections(text) {
+  return csvRowGroups(parseCSVRows(text));
+}
+
+// ---------- XLSX(시트별 행 묶음) ----------
+export function isSpreadsheet(name) {
+  const ext = fileExt(name);
+  return ext === "xlsx" || ext === "xls";
+}
+
+// 나이스/에듀파인 내보내기는 위에 제목·출력일 행이 붙는 경우가 많음
+// → 앞쪽 20행 중 채워진 칸이 가장 많은 행의 절반 이상 채워진 첫 행을 헤더로 봄
+export function sheetHeaderIndex(rows) {
+  const filled = rows.slice(0, 20).map(row => row.filter(c => c.trim() !== "").length);
+  const max = Math.max(0, ...filled);
+  if (max === 0) return 0;
+  const idx = filled.findIndex(n => n >= Math.max(2, Math.ceil(max / 2)));
+  return idx < 0 ? 0 : idx;
+}
+
+export function sheetRowSections(sheetName, rows, firstRow = 1) {
+  return csvRowGroups(rows, {
+    headerIndex: sheetHeaderIndex(rows),
+    firstRow,
+    sectionPrefix: [sheetName],
+  });
+}
+
+export async function spreadsheetSections(name, buf) {
+  const XLSX = await import(SHEETJS_URL);
+  const wb = XLSX.read(new Uint8Array(buf), { type: "array", dense: true });
+
+  const sections = [];
+  for (const sheetName of wb.SheetNames) {
+    const ws = wb.Sheets[sheetName];
+    if (!ws?.["!ref"]) continue;
+    // 서식 적용된 문자열(날짜/금액) 그대로, 빈 행도 유지해서 행 번호를 원본과 맞춤
+    const rows = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: "", blankrows: true })
+      .map(row => row.map(c => String(c ?? "")));
+    const firstRow = XLSX.utils.decode_range(ws["!ref"]).s.r + 1;
+    sections.push(...sheetRowSections(sheetName, rows, firstRow));
+  }
+  return sections;
+}
+
+// 섹션 → 청크 텍스트. 섹션이 길면 기존 chunkText로 다시 자름
+// 제목 아래 한 줄짜리 조항/작은 표도 검색돼야 하므로 길이 하한은 두지 않음.
+// 대신 짧은 섹션은 바로 뒤 하위 섹션(같은 제목 경로 아래)에 붙여 제목만 있는 청크를 줄임
+export function chunkSections(sections) {
+  const merged = [];
+  let carry = "";
+  for (let i = 0; i < sections.length; i++) {
+    const sec = sections[i];
+    const text = carry ? `${carry}\n\n${sec.text}` : sec.text;
+    const next = sections[i + 1];
+    if (text.length < 30 && next && sec.section.every((s, k) => next.section[k] === s)) {
+      carry = text;
+      continue;
+    }
+    carry = "";
+    merged.push({ section: sec.section, text });
+  }
+
+  const out = [];
+  for (const sec of merged) {
+    for (const piece of chunkText(sec.text, CHUNK_CHARS, CHUNK_OVERLAP, 1)) {
+      out.push({ section: sec.section, text: piece });
+    }
+  }
+  return out;
+}
+
+export function textSections(fileName, text) {
+  switch (fileExt(fileName)) {
+    case "md":
+    case "markdown":
+      return parseMarkdownSections(text);
+    case "html":
+    case "htm":
+      return parseHtmlSections(text);
+    case "csv":
+    case "tsv":
+      return parseCSVSections(text);
+    default:
+      return [{ section: [], text }];
+  }
+}
+
+// ---------- HWPX/DOCX(압축 XML) ----------
+// 워커에는 DOMParser가 없으므로 태그 단위로 훑는 최소 토크나이저 사용
+// 문단/표/제목을 Markdown 비슷한 텍스트로 바꾼 뒤 parseMarkdownSections 재사용(HTML과 같은 방식)
+
+export function isZippedDoc(name) {
+  const ext = fileExt(name);
+  return ext === "docx" || ext === "hwpx";
+}
+
+// 태그 이름은 접두사(w:, hp:, hh:)를 떼고 비교
+function* xmlTokens(xml) {
+  const re = /<(\/?)([A-Za-z_][\w.-]*:)?([\w.-]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (m[7] !== undefined) yield { type: "text", text: decodeEntities(m[7]) };
+    else if (m[6] !== undefined) yield { type: "text", text: m[6] };
+    else if (m[3] === undefined) continue;   // 선언/주석
+    else if (m[1]) yield { type: "close", name: m[3] };
+    else yield { type: "open", name: m[3], attrs: m[4] ?? "", selfClosing: m[5] === "/" };
+  }
+}
+
+function xmlAttr(attrs, name) {
+  const m = new RegExp(`(?:^|\\s)(?:[\\w.-]+:)?${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(attrs);
+  return m ? decodeEntities(m[1] ?? m[2]) : null;
+}
+
+// 문단(p) / 글자(t) / 표(tbl > tr > tc) 구조가 같은 두 형식을 공통 처리
+// fmt.paragraphLevel(attrs): 문단 태그 속성으로 제목 수준(HWPX)
+// fmt.propertyLevel(name, attrs): 문단 속성 태그로 제목 수준(DOCX pStyle/outlineLvl)
+function wordXmlToMarkdown(xml, fmt) {
+  const out = [];
+  const paras = [];          // 표 안 문단/글상자처럼 문단 안에 문단이 들어갈 수 있음
+  const tables = [];         // { rows: [[cell]], row, cell }
+  let inText = 0;
+
+  const emit = (line) => {
+    if (tables.length) {
+      const t = tables[tables.length - 1];
+      t.cell?.push(line);
+    } else {
+      out.push(line, "");
+    }
+  };
+
+  const flushPara = (p) => {
+    const text = p.text.replace(/[ \t\u00a0]+/g, " ").trim();
+    p.text = "";
+    if (!text) return;
+    if (p.level && !tables.length) {
+      emit(`${"#".repeat(Math.min(6, p.level))} ${text.replace(/\s*\n\s*/g, " ")}`);
+    } else {
+      emit(text);
+    }
+  };
+
+  for (const tok of xmlTokens(xml)) {
+    const para = paras[paras.length - 1];
+
+    if (tok.type === "text") {
+      if (inText && para) para.text += tok.text;
+      continue;
+    }
+
+    if (tok.type === "open") {
+      switch (tok.name) {
+        case "p":
+          if (!tok.selfClosing) paras.push({ text: "", level: fmt.paragraphLevel?.(tok.attrs) ?? 0 });
+          break;
+        case "t":
+          if (!tok.selfClosing) inText++;
+          break;
+        case "tab":
+          if (para) para.text += " ";
+          break;
+        case "br":
+        case "lineBreak":
+          if (para) para.text += "\n";
+          break;
+        case "tbl":
+          // 표 앞에 쓰던 문단 내용은 먼저 내보냄(HWPX는 표가 문단 안에 들어 있음)
+          if (para) flushPara(para);
+          tables.push({ rows: [], row: null, cell: null });
+          break;
+        case "tr":
+          if (tables.length) tables[tables.length - 1].row = [];
+          break;
+        case "tc":
+          if (tables.length) tables[tables.length - 1].cell = [];
+          break;
+        default: {
+          const level = para ? fmt.propertyLevel?.(tok.name, tok.attrs) : null;
+          if (level != null) para.level = level;
+        }
+      }
+      continue;
+    }
+
+    // close
+    switch (tok.name) {
+      case "p": {
+        const p = paras.pop();
+        if (p) flushPara(p);
+        break;
+      }
+      case "t":
+        inText = Math.max(0, inText - 1);
+        break;
+      case "tc": {
+        const t = tables[tables.length - 1];
+        if (t?.row && t.cell) t.row.push(t.cell.join(" ").replace(/\s+/g, " ").trim());
+        if (t) t.cell = null;
+        break;
+      }
+      case "tr": {
+        const t = tables[tables.length - 1];
+        if (t?.row?.some(c => c)) t.rows.push(t.row);
+        if (t) t.row = null;
+        break;
+      }
+      case "tbl": {
+        const t = tables.pop();
+        if (!t) break;
+        const lines = t.rows.map(r => r.join(" | "));
+        if (tables.length) {
+          emit(lines.join(" / "));     // 표 안의 표는 셀 하나로 합침
+        } else if (lines.length) {
+          out.push(...lines, "");
+        }
+        break;
+      }
+    }
+  }
+
+  return out.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// DOCX: word/styles.xml에서 제목 스타일 → 수준(Heading 1, 제목 1, outlineLvl)
+function docxHeadingStyles(stylesXml) {
+  const levels = new Map();
+  let id = null;
+  for (const tok of xmlTokens(stylesXml ?? "")) {
+    if (tok.type === "open" && tok.name === "style") {
+      id = xmlAttr(tok.attrs, "styleId");
+    } else if (tok.type === "close" && tok.name === "style") {
+      id = null;
+    } else if (tok.type === "open" && id) {
+      if (tok.name === "name") {
+        const m = /^(?:heading|제목)\s*(\d)$/i.exec(xmlAttr(tok.attrs, "val") ?? "");
+        if (m) levels.set(id, Number(m[1]));
+        else if (/^title$/i.test(xmlAttr(tok.attrs, "val") ?? "")) levels.set(id, 1);
+      } else if (tok.name === "outlineLvl" && !levels.has(id)) {
+        const lv = Number(xmlAttr(tok.attrs, "val"));
+        if (lv >= 0 && lv < 9) levels.set(id, lv + 1);
+      }
+    }
+  }
+  return levels;
+}
+
+export function docxToMarkdown(documentXml, stylesXml) {
+  const styles = docxHeadingStyles(stylesXml);
+  return wordXmlToMarkdown(documentXml, {
+    propertyLevel(name, attrs) {
+      if (name === "pStyle") return styles.get(xmlAttr(attrs, "val")) ?? null;
+      if (name === "outlineLvl") {
+        const lv = Number(xmlAttr(attrs, "val"));
+        return lv >= 0 && lv < 9 ? lv + 1 : 0;
+      }
+      return null;
+    },
+  });
+}
+
+// HWPX: Contents/header.xml의 문단 모양(개요 수준)과 스타일 이름(개요 1 …)으로 제목 판단
+function hwpxHeadingLevels(headerXml) {
+  const paraPr = new Map();
+  const styles = new Map();
+  let prId = null;
+  for (const tok of xmlTokens(headerXml ?? "")) {
+    if (tok.type === "open" && tok.name === "paraPr") {
+      prId = xmlAttr(tok.attrs, "id");
+    } else if (tok.type === "close" && tok.name === "paraPr") {
+      prId = null;
+    } else if (tok.type === "open" && tok.name === "heading" && prId != null) {
+      if (xmlAttr(tok.attrs, "type") === "OUTLINE") paraPr.set(prId, Number(xmlAttr(tok.attrs, "level") ?? 0) + 1);
+    } else if (tok.type === "open" && tok.name === "style") {
+      const name = `${xmlAttr(tok.attrs, "name") ?? ""} ${xmlAttr(tok.attrs, "engName") ?? ""}`;
+      const m = /(?:개요|Outline)\s*(\d)/i.exec(name);
+      if (m) styles.set(xmlAttr(tok.attrs, "id"), Number(m[1]));
+    }
+  }
+  return { paraPr, styles };
+}
+
+export function hwpxToMarkdown(sectionXmls, headerXml) {
+  const { paraPr, styles } = hwpxHeadingLevels(headerXml);
+  const fmt = {
+    paragraphLevel(attrs) {
+      return paraPr.get(xmlAttr(attrs, "paraPrIDRef"))
+        ?? styles.get(xmlAttr(attrs, "styleIDRef"))
+        ?? 0;
+    },
+  };
+  return sectionXmls.map(xml => wordXmlToMarkdown(xml, fmt)).join("\n\n");
+}
+
+export async function zippedDocSections(name, buf) {
+  const { unzipSync, strFromU8 } = await import(FFLATE_URL);
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(buf));
+  } catch {
+    throw new Error(`압축을 풀 수 없습니다(손상되었거나 암호가 걸린 파일): ${name}`);
+  }
+  const read = (path) => (files[path] ? strFromU8(files[path]) : null);
+
+  if (fileExt(name) === "docx") {
+    const doc = read("word/document.xml");
+    if (!doc) throw new Error(`DOCX 본문(word/document.xml)이 없습니다: ${name}`);
+    return parseMarkdownSections(docxToMarkdown(doc, read("word/styles.xml")));
+  }
+
+  // HWPX: 구역(section0, section1 …) 순서대로
+  const sectionPaths = Object.keys(files)
+    .filter(p => /^Contents\/section\d+\.xml$/i.test(p))
+    .sort((a, b) => Number(/(\d+)\.xml$/i.exec(a)[1]) - Number(/(\d+)\.xml$/i.exec(b)[1]));
+  if (sectionPaths.length === 0) throw new Error(`HWPX 본문(Contents/section*.xml)이 없습니다: ${name}`);
+  return parseMarkdownSections(hwpxToMarkdown(sectionPaths.map(read), read("Contents/header.xml")));
+}
+
+// ---------- PDF 레이아웃 복원(읽기 순서/다단/표) ----------
+// getTextContent()는 만들어진 순서대로 조각을 주므로, 좌표(transform/width/height)로
+// 줄 → 칸(넓은 빈칸 기준) → 단(세로 빈 띠) → 표(칸이 2개 이상인 줄이 이어짐) 순서로 다시 맞춤
+const LAYOUT_LINE_TOL = 0.5;    // 같은 줄로 볼 기준선 차이(글자 높이 배수)
+const LAYOUT_CELL_GAP = 1.5;    // 이보다 넓은 빈칸(글자 높이 배수)은 칸 경계
+const LAYOUT_PARA_GAP = 1.8;    // 줄 간격이 이보다 크면 문단 구분(빈 줄)
+const LAYOUT_BIN = 2;           // 단 구분 빈 띠 탐지 격자(pt)
+
+function median(xs) {
+  if (xs.length === 0) return 0;
+  const s = [...xs].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const b of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - b.y) <= LAYOUT_LINE_TOL * Math.max(line.h, b.h)) {
+      line.boxes.push(b);
+      line.h = Math.max(line.h, b.h);
+    } else {
+      lines.push({ y: b.y, h: b.h, boxes: [b] });
+    }
+  }
+  for (const line of lines) {
+    line.boxes.sort((a, b) => a.x - b.x);
+    line.segments = lineSegments(line);
+  }
+  return lines;
+}
+
+// 한 줄을 넓은 빈칸 기준으로 칸(segment)으로 나눔 { x0, x1, text }
+function lineSegments(line) {
+  const segs = [];
+  let cur = null;
+  for (const b of line.boxes) {
+    const gap = cur ? b.x - cur.x1 : Infinity;
+    if (!cur || gap > LAYOUT_CELL_GAP * line.h) {
+      cur = { x0: b.x, x1: b.x + b.w, text: b.str };
+      segs.push(cur);
+      continue;
+    }
+    if (gap > 0.15 * line.h && !/\s$/.test(cur.text) && !/^\s/.test(b.str)) cur.text += " ";
+    cur.text += b.str;
+    cur.x1 = Math.max(cur.x1, b.x + b.w);
+  }
+  for (const sg of segs) sg.text = sg.text.replace(/\s+/g, " ").trim();
+  return segs.filter(sg => sg.text);
+}
+
+// 2단 편집: 페이지 가운데쯤에 거의 모든 줄이 비어 있는 세로 띠가 있고,
+// 양쪽 글이 단 너비를 채우는(표 칸처럼 좁지 않은) 경우만 단으로 봄 → 띠의 x 또는 null
+function findGutter(lines) {
+  const segs = lines.flatMap(l => l.segments);
+  if (lines.length < 6 || segs.length === 0) return null;
+
+  const minX = Math.min(...segs.map(sg => sg.x0));
+  const maxX = Math.max(...segs.map(sg => sg.x1));
+  const width = maxX - minX;
+  const bins = Math.ceil(width / LAYOUT_BIN) + 1;
+  const cover = new Int32Array(bins);
+  for (const sg of segs) {
+    for (let b = Math.floor((sg.x0 - minX) / LAYOUT_BIN); b <= Math.floor((sg.x1 - minX) / LAYOUT_BIN); b++) cover[b]++;
+  }
+
+  const allowed = Math.max(1, Math.floor(lines.length * 0.05));
+  const from = Math.floor((width * 0.3) / LAYOUT_BIN);
+  const to = Math.ceil((width * 0.7) / LAYOUT_BIN);
+  let best = null;
+  for (let b = from, start = -1; b <= to + 1; b++) {
+    if (b <= to && cover[b] <= allowed) {
+      if (start < 0) start = b;
+    } else if (start >= 0) {
+      if (!best || b - start > best.end - best.start) best = { start, end: b };
+      start = -1;
+    }
+  }
+  if (!best || (best.end - best.start) * LAYOUT_BIN < 6) return null;
+
+  const gx0 = minX + best.start * LAYOUT_BIN;
+  const gx1 = minX + best.end * LAYOUT_BIN;
+  const left = segs.filter(sg => sg.x1 <= gx0 + LAYOUT_BIN);
+  const right = segs.filter(sg => sg.x0 >= gx1 - LAYOUT_BIN);
+  if (left.length < lines.length * 0.3 || right.length < lines.length * 0.3) return null;
+
+  const fills = (side, span) => median(side.map(sg => sg.x1 - sg.x0)) >= 0.5 * span;
+  if (!fills(left, gx0 - minX) || !fills(right, maxX - gx1)) return null;
+
+  return (gx0 + gx1) / 2;
+}
+
+// 단이 있으면: 단을 가로지르는 줄(제목 등)을 경계로 블록을 나누고, 블록마다 왼쪽 단 → 오른쪽 단
+function readingOrder(lines) {
+  const g = findGutter(lines);
+  if (g === null) return lines;
+
+  const out = [];
+  let leftCol = [];
+  let rightCol = [];
+  const flushCols = () => {
+    out.push(...leftCol, ...rightCol);
+    leftCol = [];
+    rightCol = [];
+  };
+
+  for (const line of lines) {
+    const crosses = line.segments.some(sg => sg.x0 < g && sg.x1 > g);
+    if (crosses) {
+      flushCols();
+      out.push(line);
+      continue;
+    }
+    const l = line.segments.filter(sg => sg.x1 <= g);
+    const r = line.segments.filter(sg => sg.x0 >= g);
+    if (l.length) leftCol.push({ ...line, segments: l });
+    if (r.length) rightCol.push({ ...line, segments: r });
+  }
+  flushCols();
+  return out;
+}
+
+// 칸이 2개 이상인 줄들 → Markdown 표 행. 칸 경계는 가장 잘게 나뉜 줄들의 칸 범위를 합쳐서 정함
+function tableRows(run) {
+  const maxSegs = Math.max(...run.map(l => l.segments.length));
+  const cols = [];
+  for (const sg of run.filter(l => l.segments.length === maxSegs).flatMap(l => l.segments).sort((a, b) => a.x0 - b.x0)) {
+    const last = cols[cols.length - 1];
+    if (last && sg.x0 <= last.x1) last.x1 = Math.max(last.x1, sg.x1);
+    else cols.push({ x0: sg.x0, x1: sg.x1 });
+  }
+
+  const rows = run.map(line => {
+    const cells = cols.map(() => []);
+    for (const sg of line.segments) {
+      let bestCol = 0;
+      let bestScore = -Infinity;
+      cols.forEach((c, i) => {
+        // 겹치는 폭(안 겹치면 떨어진 거리만큼 음수)
+        const score = Math.min(sg.x1, c.x1) - Math.max(sg.x0, c.x0);
+        if (score > bestScore) { bestScore = score; bestCol = i; }
+      });
+      cells[bestCol].push(sg.text);
+    }
+    return `| ${cells.map(c => c.join(" ").replace(/\|/g, "/")).join(" | ")} |`;
+  });
+
+  return [rows[0], `|${cols.map(() => " --- ").join("|")}|`, ...rows.slice(1)];
+}
+
+function renderLayoutLines(lines) {
+  const out = [];
+  let prev = null;
+  const gapBreak = (line) => {
+    if (prev && Math.abs(prev.y - line.y) > LAYOUT_PARA_GAP * Math.max(prev.h, line.h)) out.push("");
+  };
+
+  for (let i = 0; i < lines.length;) {
+    if (lines[i].segments.length >= 2) {
+      let j = i + 1;
+      while (j < lines.length && lines[j].segments.length >= 2
+        && Math.abs(lines[j - 1].y - lines[j].y) <= 2.5 * Math.max(lines[j - 1].h, lines[j].h)) j++;
+      if (j - i >= 2) {
+        gapBreak(lines[i]);
+        out.push(...tableRows(lines.slice(i, j)), "");
+        prev = lines[j - 1];
+        i = j;
+        continue;
+      }
+    }
+    gapBreak(lines[i]);
+    out.push(lines[i].segments.map(sg => sg.text).join(" "));
+    prev = lines[i];
+    i++;
+  }
+  return out.join("\n");
+}
+
+// textContent.items → 읽기 순서대로 정리한 페이지 텍스트(표는 | 칸 | 칸 |)
+export function layoutPageText(items) {
+  const boxes = [];
+  const rotated = [];
+  for (const item of items) {
+    if (!item.str?.trim()) continue;
+    const [a, b, c, d, e, f] = item.transform;
+    if (Math.abs(b) > 1e-3 || Math.abs(c) > 1e-3 || a <= 0) {
+      rotated.push(item.str);    // 세로/회전 글자는 위치 비교가 어려워 끝에 붙임
+      continue;
+    }
+    boxes.push({ str: item.str, x: e, y: f, w: item.width, h: item.height || Math.hypot(c, d) || 10 });
+  }
+
+  const text = renderLayoutLines(readingOrder(groupLines(boxes)));
+  return rotated.length ? `${text}\n\n${rotated.join(" ")}` : text;
+}
+
+// ---------- PDF ----------
+// 워커에는 document가 없으므로 PDF.js 내부 임시 캔버스도 OffscreenCanvas로 만듦
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+function canOcr() {
+  return typeof OffscreenCanvas !== "undefined";
+}
+
+function needsOcr(text) {
+  return text.replace(/\s+/g, "").length < OCR_MIN_TEXT_CHARS;
+}
+
+async function createOcr() {
+  const { createWorker } = await import(TESSERACT_URL);
+  return createWorker(OCR_LANGS);
+}
+
+// 페이지를 그림으로 렌더링 → OCR. confidence는 0~1
+async function ocrPage(ocr, page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+
+  const blob = await canvas.convertToBlob({ type: "image/png" });
+  const { data } = await ocr.recognize(blob);
+  return { text: data.text ?? "", confidence: (data.confidence ?? 0) / 100 };
+}
+
+// onOcr(pageNo, numPages): OCR 시작 전(오래 걸림), onPage(pageNo, numPages): 페이지 끝날 때마다 await
+// → { numPages, pages: [text], ocr: Map(pageNo -> confidence), ocrFailed: [pageNo] }
+export async function extractTextFromPDF(arrayBuffer, { onOcr, onPage } = {}) {
+  const inWorker = typeof document === "undefined";
+  const loadingTask = pdfjsLib.getDocument({
+    data: arrayBuffer,
+    ...(inWorker ? { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true, useSystemFonts: false } : {}),
+  });
+  const pdf = await loadingTask.promise;
+
+  const pages = [];
+  const ocrConf = new Map();
+  const ocrFailed = [];
+  let ocr = null;          // Tesseract 워커(처음 필요할 때 생성), 로드 실패 시 false
+
+  try {
+    for (let p = 1; p <= pdf.numPages; p++) {
+      const page = await pdf.getPage(p);
+      const textContent = await page.getTextContent();
+      let text = normalizeText(layoutPageText(textContent.items));
+
+      if (needsOcr(text) && canOcr() && ocr !== false) {
+        await onOcr?.(p, pdf.numPages);
+        try {
+          ocr ??= await createOcr();
+          const res = await ocrPage(ocr, page);
+          const ocrText = normalizeText(res.text);
+          if (ocrText.length > text.length) {
+            text = ocrText;
+            ocrConf.set(p, res.confidence);
+          }
+        } catch (e) {
+          console.warn(`OCR 실패(페이지 ${p})`, e);
+          if (!ocr) ocr = false;     // 엔진/언어 데이터를 못 불러오면 나머지 페이지는 시도 안 함
+          ocrFailed.push(p);
+        }
+      }
+
+      pages.push(text);
+      page.cleanup();
+      await onPage?.(p, pdf.numPages);
+    }
+  } finally {
+    if (ocr) await ocr.terminate();
+    await pdf.destroy();
+  }
+
+  return { numPages: pdf.numPages, pages, ocr: ocrConf, ocrFailed };
+}
+
+// ---------- 청크 생성 ----------
+// 파일 내용(buf) → { chunks: 청크 레코드(embedding 없음), ocr: { pages, confidence, failed } | null }
+// onStep(ratio, message)는 페이지/단계마다 await 되므로, 워커는 여기서 일시정지/취소를 끼워 넣음
+export async function extractChunks({ buf, name, type, docId, docName }, onStep) {
+  const newChunks = [];
+  let ocrStats = null;
+
+  if (fileExt(name) === "pdf" || type === "application/pdf") {
+    const { pages, ocr, ocrFailed } = await extractTextFromPDF(buf, {
+      onOcr: (p, n) => onStep?.((p - 1) / Math.max(1, n), `OCR 중(스캔 페이지): ${name} (페이지 ${p}/${n})`),
+      onPage: (p, n) => onStep?.(p / Math.max(1, n), `PDF 처리: ${name} (페이지 ${p}/${n})`),
+    });
+
+    for (let i = 0; i < pages.length; i++) {
+      const pageNo = i + 1;
+      const pieces = chunkText(pages[i]);
+      const conf = ocr.get(pageNo);
+
+      for (let c = 0; c < pieces.length; c++) {
+        newChunks.push({
+          id: `${docId}|p${pageNo}|c${c}`,
+          docId,
+          docName,
+          page: pageNo,
+          text: pieces[c],
+          ...(conf !== undefined ? { ocr: true, ocrConfidence: Number(conf.toFixed(3)) } : {}),
+          embedding: null,
+        });
+      }
+    }
+
+    if (ocr.size || ocrFailed.length) {
+      const confs = [...ocr.values()];
+      ocrStats = {
+        pages: ocr.size,
+        confidence: confs.length ? Number((confs.reduce((a, b) => a + b, 0) / confs.length).toFixed(3)) : null,
+        failed: ocrFailed.length,
+      };
+    }
+  } else {
+    if (fileExt(name) === "hwp") {
+      throw new Error(`HWP(구 형식)는 지원하지 않습니다. 한글에서 HWPX로 저장한 뒤 올려 주세요: ${name}`);
+    }
+
+    // 텍스트 계열/HWPX·DOCX/XLSX: 형식별로 구조(제목 경로/행 범위)를 살려서 자름
+    const sections = isZippedDoc(name)
+      ? await zippedDocSections(name, buf)
+      : isSpreadsheet(name)
+        ? await spreadsheetSections(name, buf)
+        : textSections(name, new TextDecoder().decode(buf));
+    const pieces = chunkSections(sections);
+    for (let c = 0; c < pieces.length; c++) {
+      newChunks.push({
+        id: `${docId}|c${c}`,
+        docId,
+        docName,
+        page: null,
+        section: pieces[c].section,
+        text: pieces[c].text,
+        embedding: null,
+      });
+    }
+    await onStep?.(1, `청크 생성 완료: ${name} (${newChunks.length}개)`);
+  }
+
+  return { chunks: newChunks, ocr: ocrStats };
+}
+
+// ---------- 임베딩 ----------
+// feature-extraction + pooling/normalize로 문장 임베딩 생성(코사인 유사도 검색용)
+export async function loadEmbedder(modelId = EMBED_MODEL_ID) {
+  const hf = await import(TRANSFORMERS_URL);
+  // 필요 시 env 설정 가능
+  // 예: hf.env.backends.onnx.wasm.numThreads = 1;
+
+  const device = (navigator.gpu ? "webgpu" : "wasm");
+  const pipe = await hf.pipeline("feature-extraction", modelId, { device });
+  return { hf, pipe, device, modelId };
+}
+
+// prefix: 모델별 질문/문단 접두어(EMBED_MODELS의 queryPrefix/passagePrefix)
+export async function embedWith(pipe, texts, prefix = "") {
+  const tensor = await pipe(prefix ? texts.map(t => prefix + t) : texts, { pooling: "mean", normalize: true });
+  const [n, d] = tensor.dims;
+
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const start = i * d;
+    const end = start + d;
+    out[i] = tensor.data.slice(start, end); // Float32Array 복사
+  }
+  return out;
+}
+
+// 크로스인코더는 pipeline이 아니라 토크나이저 + 분류 모델을 직접 씀(text_pair 입력)
+export async function loadReranker(modelId = RERANK_MODEL_ID) {
+  const hf = await import(TRANSFORMERS_URL);
+  const device = (navigator.gpu ? "webgpu" : "wasm");
+  const tokenizer = await hf.AutoTokenizer.from_pretrained(modelId);
+  const model = await hf.AutoModelForSequenceClassification.from_pretrained(modelId, { device });
+  return { tokenizer, model, device, modelId };
+}
+
+// query와 각 text의 관련도(0~1, logit의 sigmoid). 메모리 때문에 RERANK_BATCH개씩
+export async function rerankWith(reranker, query, texts) {
+  const scores = [];
+  for (let i = 0; i < texts.length; i += RERANK_BATCH) {
+    const batch = texts.slice(i, i + RERANK_BATCH);
+    const inputs = reranker.tokenizer(batch.map(() => query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true,
+      max_length: RERANK_MAX_TOKENS,
+    });
+    const { logits } = await reranker.model(inputs);
+    // 출력이 [n, 1]이면 그대로, [n, 2](무관/관련)이면 "관련" 쪽
+    const [n, c] = logits.dims;
+    for (let j = 0; j < n; j++) {
+      scores.push(1 / (1 + Math.exp(-logits.data[j * c + c - 1])));
+    }
+  }
+  return scores;
+}
+
+// ---------- 키워드 색인(BM25 + 한글 글자 n-gram) ----------
+// 한국어는 조사/어미가 붙어서 단어 단위 매칭이 약함 → 글자 bigram으로 색인
+// 영문/숫자만으로 된 토큰(문서번호, 금액 등)은 통째로 색인해서 정확 매칭
+export function lexTokens(text) {
+  const words = (text ?? "")
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3})/g, "$1")       // 1,000,000 → 1000000
+    .match(/[\p{L}\p{N}]+/gu) ?? [];
+
+  const out = [];
+  for (const w of words) {
+    if (w.length === 1 || /^[a-z0-9]+$/.test(w)) {
+      out.push(w);
+      continue;
+    }
+    for (let i = 0; i < w.length - 1; i++) out.push(w.slice(i, i + 2));
+  }
+  return out;
+}
+
+// 토큰이 "constructor" 같은 이름이어도 Object.prototype과 부딪히지 않게 프로토타입 없는 객체로
+export function buildLexIndex(docId, chunks) {
+  const postings = Object.create(null);
+  const lens = Object.create(null);
+  let totalLen = 0;
+
+  for (const ch of chunks) {
+    const toks = lexTokens([...(ch.section ?? []), ch.text].join(" "));
+    lens[ch.id] = toks.length;
+    totalLen += toks.length;
+
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) (postings[t] ??= []).push(ch.id, n);
+  }
+
+  return { docId, n: chunks.length, totalLen, lens, postings };
+}